@@ -0,0 +1,68 @@
+import { Vector2D, Utils } from '../utils/Utils.js';
+import { Observation } from './Observation.js';
+
+// Margin kept from the edges of the deploy zone
+const ZONE_MARGIN = 20;
+
+// Base class for computer opponents. The game calls update() every tick;
+// at the controller's own pace it hands decide() a read-only Observation
+// and applies whatever place commands come back, under the same elixir
+// and placement rules as a human player. Subclasses only implement decide().
+export class AIController {
+    constructor(team, rng, options = {}) {
+        this.team = team;
+        this.opponent = team === 'player' ? 'enemy' : 'player';
+        this.rng = rng;
+
+        // y direction pointing toward the opponent's side
+        this.forward = team === 'enemy' ? 1 : -1;
+
+        // Decision pacing, in ms of game time
+        this.thinkInterval = options.thinkInterval || 500;
+        this.playCooldown = options.playCooldown || 1500; // pause after playing a card
+        this.nextThink = options.startDelay || 3000;
+    }
+
+    update(simulation) {
+        if (simulation.over || simulation.time < this.nextThink) return;
+
+        this.nextThink = simulation.time + this.thinkInterval;
+
+        this.play(simulation, this.decide(new Observation(simulation, this.team)) || []);
+    }
+
+    // Apply place commands, resting for the play cooldown if any went down
+    play(simulation, commands) {
+        const played = commands.filter(command => simulation.applyCommand({ ...command, team: this.team }));
+        if (played.length > 0) {
+            this.nextThink = simulation.time + this.playCooldown;
+        }
+    }
+
+    // Return the place commands to play now (an empty list to wait)
+    decide(observation) {
+        throw new Error(`${this.constructor.name} must implement decide()`);
+    }
+
+    // Cards in hand we can afford right now
+    getPlayableCards(observation) {
+        return observation.hand.filter(card => card.cost <= observation.elixir);
+    }
+
+    clampToZone(observation, position) {
+        const zone = observation.zone(this.team);
+        return new Vector2D(
+            Utils.clamp(position.x, zone.x + ZONE_MARGIN, zone.x + zone.width - ZONE_MARGIN),
+            Utils.clamp(position.y, zone.y + ZONE_MARGIN, zone.y + zone.height - ZONE_MARGIN)
+        );
+    }
+
+    command(card, position) {
+        return {
+            type: 'place',
+            card: card.id,
+            position: { x: position.x, y: position.y },
+            team: this.team
+        };
+    }
+}
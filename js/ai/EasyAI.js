@@ -0,0 +1,37 @@
+import { Vector2D } from '../utils/Utils.js';
+import { AIController } from './AIController.js';
+
+// Beginner opponent. Every few seconds it plays a random affordable card:
+// troops anywhere in its half, spells on a random opponent troop or tower
+// (buff spells on one of its own troops).
+export class EasyAI extends AIController {
+    constructor(team, rng) {
+        super(team, rng, { startDelay: 5000, thinkInterval: 2000, playCooldown: 4000 });
+    }
+
+    decide(observation) {
+        const hand = this.getPlayableCards(observation);
+        if (hand.length === 0) return [];
+
+        const card = hand[this.rng.randomInt(0, hand.length - 1)];
+
+        if (card.type === 'spell') {
+            const targets = card.spell.affects === 'allies'
+                ? observation.units.filter(unit => unit.team === this.team)
+                : [
+                    ...observation.units.filter(unit => unit.team === this.opponent),
+                    ...observation.towers.filter(tower => tower.team === this.opponent)
+                ];
+            if (targets.length === 0) return [];
+            const target = targets[this.rng.randomInt(0, targets.length - 1)];
+            return [this.command(card, target.position)];
+        }
+
+        const zone = observation.zone(this.team);
+        const position = new Vector2D(
+            zone.x + this.rng.random(0, zone.width),
+            zone.y + this.rng.random(0, zone.height)
+        );
+        return [this.command(card, this.clampToZone(observation, position))];
+    }
+}
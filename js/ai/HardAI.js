@@ -0,0 +1,166 @@
+import { Vector2D } from '../utils/Utils.js';
+import { TICK_RATE } from '../game/Simulation.js';
+import { AIController } from './AIController.js';
+import { MediumAI } from './MediumAI.js';
+
+// How far ahead each candidate play is simulated
+const HORIZON = 4 * TICK_RATE; // ticks
+
+// Plays evaluated per decision, including the rule-based suggestion
+const MAX_CANDIDATES = 10;
+
+// Forecasts run per tick while a decision is in progress. Spreading them
+// out keeps a decision from stalling a single frame.
+const FORECASTS_PER_TICK = 1;
+
+// A play must beat waiting by this much (in elixir) to be worth making
+const MIN_GAIN = 0.5;
+
+// Board value of a full-health tower and of a won match, in elixir
+const TOWER_VALUE = { king: 24, princess: 12 };
+const WIN_VALUE = 1000;
+
+// Lookahead opponent. It gathers a handful of candidate plays (the medium
+// bot's choice plus counters, spells on clusters and lane pushes), forecasts
+// each one a few seconds ahead on a copy of the match and plays the one
+// that leaves the board in the best shape, or waits if none beats waiting.
+// The forecasts of one decision run over several ticks, all from the same
+// snapshot of the match, so the chosen play goes down a few ticks after
+// the moment it was planned for.
+export class HardAI extends AIController {
+    constructor(team, rng) {
+        super(team, rng, { startDelay: 2000, thinkInterval: 1000, playCooldown: 1000 });
+
+        // Supplies the baseline suggestion and its counter-placement rules
+        this.advisor = new MediumAI(team, rng);
+
+        // Decision in progress: { snapshot, queue, best, bestScore }
+        this.plan = null;
+    }
+
+    update(simulation) {
+        if (!this.plan) {
+            super.update(simulation);
+            return;
+        }
+        if (simulation.over) {
+            this.plan = null;
+            return;
+        }
+        this.play(simulation, this.continuePlan());
+    }
+
+    // Start a decision on a snapshot of the match. Waiting (null) is
+    // forecast first, then each candidate play.
+    decide(observation) {
+        const hand = this.getPlayableCards(observation);
+        if (hand.length === 0) return [];
+
+        this.plan = {
+            snapshot: observation.forecast([], 0),
+            queue: [null, ...this.getCandidates(observation, hand)],
+            best: null,
+            bestScore: -Infinity
+        };
+        return this.continuePlan();
+    }
+
+    // Run this tick's share of forecasts; the chosen play once all are done
+    continuePlan() {
+        const plan = this.plan;
+
+        for (let i = 0; i < FORECASTS_PER_TICK && plan.queue.length > 0; i++) {
+            const command = plan.queue.shift();
+            const score = this.evaluate(plan.snapshot.forecast(command ? [command] : [], HORIZON));
+            if (!command) {
+                plan.bestScore = score + MIN_GAIN;
+            } else if (score > plan.bestScore) {
+                plan.bestScore = score;
+                plan.best = command;
+            }
+        }
+
+        if (plan.queue.length > 0) return [];
+        this.plan = null;
+        return plan.best ? [plan.best] : [];
+    }
+
+    getCandidates(observation, hand) {
+        const candidates = [...this.advisor.decide(observation)];
+        const threats = this.advisor.getThreats(observation);
+        const enemies = observation.units
+            .filter(unit => unit.team === this.opponent)
+            .sort((a, b) => b.value * b.health / b.maxHealth - a.value * a.health / a.maxHealth);
+        const allies = observation.units
+            .filter(unit => unit.team === this.team)
+            .sort((a, b) => b.value - a.value);
+        const enemyTowers = observation.towers
+            .filter(tower => tower.team === this.opponent)
+            .sort((a, b) => a.health - b.health);
+
+        hand.forEach(card => {
+            if (card.type === 'spell' && card.spell.affects === 'allies') {
+                allies.slice(0, 2).forEach(unit => candidates.push(this.command(card, unit.position)));
+                return;
+            }
+            if (card.type === 'spell') {
+                enemies.slice(0, 2).forEach(unit => candidates.push(this.command(card, unit.position)));
+                if (enemyTowers.length > 0) {
+                    candidates.push(this.command(card, enemyTowers[0].position));
+                }
+                return;
+            }
+
+            if (threats.length > 0) {
+                const position = this.advisor.getCounterPosition(observation, card, threats[0]);
+                candidates.push(this.command(card, position));
+            }
+            this.getLanePositions(observation).forEach(position => {
+                candidates.push(this.command(card, position));
+            });
+        });
+
+        // Drop duplicates, keeping the earlier (higher priority) entry
+        const seen = new Set();
+        return candidates
+            .filter(command => {
+                const key = `${command.card}:${Math.round(command.position.x)}:${Math.round(command.position.y)}`;
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            })
+            .slice(0, MAX_CANDIDATES);
+    }
+
+    // Just behind the bridge of each lane
+    getLanePositions(observation) {
+        const river = observation.navigation.river;
+        const y = this.forward > 0 ? river.y - 40 : river.y + river.height + 40;
+
+        return observation.navigation.bridges.map(bridge =>
+            this.clampToZone(observation, new Vector2D(bridge.x + bridge.width / 2, y)));
+    }
+
+    // Board value from our side, in elixir: towers, troops and buildings on the field
+    // weighted by remaining health, plus elixir in the bank
+    evaluate(observation) {
+        if (observation.over) {
+            if (observation.winner === this.team) return WIN_VALUE;
+            if (observation.winner === this.opponent) return -WIN_VALUE;
+        }
+
+        let score = observation.elixir;
+
+        observation.towers.forEach(tower => {
+            const value = TOWER_VALUE[tower.kind] * tower.health / tower.maxHealth;
+            score += tower.team === this.team ? value : -value;
+        });
+
+        [...observation.units, ...observation.buildings].forEach(entity => {
+            const value = entity.value * entity.health / entity.maxHealth;
+            score += entity.team === this.team ? value : -value;
+        });
+
+        return score;
+    }
+}
@@ -0,0 +1,211 @@
+import { Vector2D, Utils } from '../utils/Utils.js';
+import { AIController } from './AIController.js';
+import { EFFECT_TYPES } from '../entities/StatusEffects.js';
+
+// Troops at least this tough lead a push
+const TANK_HEALTH = 2000;
+
+// Start a push rather than sit at full elixir and waste regen
+const LEAK_THRESHOLD = 9;
+
+// How long a spell's damage is assumed to take to matter, and how long a
+// defender is expected to trade with a threat, in seconds
+const TRADE_WINDOW = 10;
+
+// Rule-based opponent. It reads the board every half second:
+//   1. finish off a tower that a spell in hand can destroy,
+//   2. defend against troops in its half, with a spell if that is a
+//      positive elixir trade, otherwise with the best-value counter troop,
+//   3. support its own tank with a troop behind it,
+//   4. start a push behind a tank before elixir overflows.
+export class MediumAI extends AIController {
+    constructor(team, rng) {
+        super(team, rng, { startDelay: 3000, thinkInterval: 500, playCooldown: 1500 });
+    }
+
+    decide(observation) {
+        const hand = this.getPlayableCards(observation);
+        if (hand.length === 0) return [];
+
+        const command = this.finishTower(observation, hand) ||
+                        this.defend(observation, hand) ||
+                        this.supportPush(observation, hand) ||
+                        this.startPush(observation, hand);
+        return command ? [command] : [];
+    }
+
+    // Opponent troops in our half, most urgent first
+    getThreats(observation) {
+        const navigation = observation.navigation;
+        const ourSide = -this.forward;
+
+        return observation.units
+            .filter(unit => unit.team === this.opponent && navigation.sideOf(unit.position) !== -ourSide)
+            .sort((a, b) => this.distanceToOurTowers(observation, a.position) -
+                            this.distanceToOurTowers(observation, b.position));
+    }
+
+    distanceToOurTowers(observation, position) {
+        const tower = observation.nearestTower(position, this.team);
+        return tower ? position.distanceTo(tower.position) : Infinity;
+    }
+
+    finishTower(observation, hand) {
+        const spells = hand.filter(card => card.type === 'spell');
+        const towers = observation.towers.filter(tower => tower.team === this.opponent);
+
+        for (const spell of spells) {
+            const towerDamage = this.getSpellTotalDamage(spell) * spell.spell.towerDamageScale;
+            const tower = towers.find(t => t.health <= towerDamage);
+            if (tower) {
+                return this.command(spell, tower.position);
+            }
+        }
+        return null;
+    }
+
+    defend(observation, hand) {
+        const threats = this.getThreats(observation);
+        if (threats.length === 0) return null;
+
+        const spellPlay = this.findBestSpell(observation, hand);
+        if (spellPlay) return spellPlay;
+
+        const threat = threats[0];
+        const counter = this.findBestCounter(hand, threat);
+        if (!counter) return null;
+
+        return this.command(counter, this.getCounterPosition(observation, counter, threat));
+    }
+
+    // Most elixir-efficient spell cast on any cluster of opponent troops,
+    // or null if none trades positively
+    findBestSpell(observation, hand) {
+        const targets = observation.units.filter(unit => unit.team === this.opponent);
+        let best = null;
+        let bestGain = 0;
+
+        hand.filter(card => card.type === 'spell').forEach(spell => {
+            const totalDamage = this.getSpellTotalDamage(spell);
+
+            targets.forEach(center => {
+                // Each troop is worth its share of its card's cost, scaled by how
+                // much of it the spell kills
+                const value = targets
+                    .filter(unit => Utils.circleCollision(center.position, spell.stats.radius, unit.position, unit.radius))
+                    .reduce((sum, unit) => sum + unit.value * Math.min(1, totalDamage / unit.health), 0);
+
+                const gain = value - spell.cost;
+                if (gain > bestGain) {
+                    bestGain = gain;
+                    best = this.command(spell, center.position);
+                }
+            });
+        });
+
+        return best;
+    }
+
+    // Damage dealt to a troop that stays in the area, including damage over
+    // time from effects renewed for the spell's whole duration
+    getSpellTotalDamage(spell) {
+        const ticks = spell.spell.duration ? Math.round(spell.spell.duration / spell.spell.tickInterval) : 1;
+        const overTime = (spell.effects || [])
+            .filter(effect => EFFECT_TYPES[effect.type].damagePerSecond)
+            .reduce((sum, effect) => sum + effect.strength * ((spell.spell.duration || 0) + effect.duration), 0);
+        return spell.stats.damage * ticks + overTime;
+    }
+
+    // Troop that can hit the threat and wins its trade for the least elixir
+    findBestCounter(hand, threat) {
+        const threatDps = threat.damage / (threat.attackCooldown / 1000);
+        let best = null;
+        let bestScore = -Infinity;
+
+        hand.filter(card => card.type === 'troop' && card.targets.includes(threat.category)).forEach(card => {
+            const dps = card.stats.damage / card.stats.hitSpeed;
+            const timeToKill = threat.health / dps;
+            // The threat only hurts counters it can target; a troop's
+            // movement ('ground' or 'air') is its target category
+            const dpsTaken = threat.targets.includes(card.movement) ? threatDps : 0;
+            const timeToDie = dpsTaken > 0 ? card.stats.health / dpsTaken : TRADE_WINDOW;
+
+            const score = Math.min(timeToDie / timeToKill, 5) / card.cost;
+            if (score > bestScore) {
+                bestScore = score;
+                best = card;
+            }
+        });
+
+        return best;
+    }
+
+    // Melee counters meet the threat head on, ranged ones stay behind it
+    getCounterPosition(observation, card, threat) {
+        const tower = observation.nearestTower(threat.position, this.team);
+        const back = tower ? threat.position.directionTo(tower.position) : new Vector2D(0, -this.forward);
+        const distance = card.projectile ? 100 : 40;
+
+        return this.clampToZone(observation, threat.position.clone().add(back.multiply(distance)));
+    }
+
+    supportPush(observation, hand) {
+        const navigation = observation.navigation;
+        const ourUnits = observation.units.filter(unit => unit.team === this.team);
+
+        // A tank of ours still on our side of the river, with nobody behind it
+        const tank = ourUnits.find(unit => unit.maxHealth >= TANK_HEALTH &&
+            navigation.sideOf(unit.position) === -this.forward &&
+            !ourUnits.some(other => other !== unit && other.maxHealth < TANK_HEALTH &&
+                other.position.distanceTo(unit.position) < 120));
+        if (!tank) return null;
+
+        const supports = hand.filter(card => card.type === 'troop' && card.stats.health < TANK_HEALTH);
+        if (supports.length === 0) return null;
+
+        // Prefer the hardest hitter
+        const support = supports.reduce((best, card) =>
+            card.stats.damage / card.stats.hitSpeed > best.stats.damage / best.stats.hitSpeed ? card : best);
+
+        const behind = tank.position.clone().add(new Vector2D(0, -this.forward * 50));
+        return this.command(support, this.clampToZone(observation, behind));
+    }
+
+    startPush(observation, hand) {
+        if (observation.elixir < LEAK_THRESHOLD) return null;
+
+        const lane = this.chooseLane(observation);
+        const bridge = observation.navigation.bridges[lane];
+        const laneX = bridge.x + bridge.width / 2;
+        const troops = hand.filter(card => card.type === 'troop');
+        if (troops.length === 0) return null;
+
+        // Tanks start at the back so elixir can build up behind them
+        const tank = troops.find(card => card.stats.health >= TANK_HEALTH);
+        if (tank) {
+            const king = observation.kingTower(this.team);
+            return this.command(tank, this.clampToZone(observation, new Vector2D(laneX, king.position.y + this.forward * 60)));
+        }
+
+        // Otherwise send the cheapest troop to the bridge
+        const cheapest = troops.reduce((best, card) => card.cost < best.cost ? card : best);
+        const river = observation.navigation.river;
+        const bridgeY = this.forward > 0 ? river.y - 30 : river.y + river.height + 30;
+        return this.command(cheapest, this.clampToZone(observation, new Vector2D(laneX, bridgeY)));
+    }
+
+    // Attack the lane whose opposing princess tower is weakest
+    chooseLane(observation) {
+        const navigation = observation.navigation;
+        const towerHealth = navigation.bridges.map((bridge, lane) => {
+            const tower = observation.towers.find(t => t.team === this.opponent &&
+                t.kind === 'princess' && navigation.laneFor(t.position.x) === lane);
+            return tower ? tower.health : 0;
+        });
+
+        if (towerHealth[0] === towerHealth[1]) {
+            return this.rng.randomInt(0, navigation.bridges.length - 1);
+        }
+        return towerHealth.indexOf(Math.min(...towerHealth));
+    }
+}
@@ -0,0 +1,133 @@
+import { Utils } from '../utils/Utils.js';
+
+// Read-only snapshot of the board from one side's point of view. This is
+// everything an AI controller gets to see: it can read units, towers,
+// buildings, its own elixir and hand, and ask for a forecast, but it can
+// never reach the live simulation.
+export class Observation {
+    #simulation;
+
+    constructor(simulation, team) {
+        this.#simulation = simulation;
+
+        this.team = team;
+        this.opponent = team === 'player' ? 'enemy' : 'player';
+
+        // Clock
+        this.tick = simulation.tick;
+        this.time = simulation.time;
+        this.phase = simulation.phase;
+        this.timeRemaining = simulation.timeRemaining;
+        this.over = simulation.over;
+        this.winner = simulation.winner;
+
+        // Our resources. The opponent's elixir and hand stay hidden.
+        const deck = simulation.decks[team];
+        this.elixir = simulation.elixir[team];
+        this.elixirMultiplier = simulation.elixirMultiplier;
+        this.hand = deck.hand.map(cardId => simulation.getUnitData(cardId, team));
+        this.next = simulation.getUnitData(deck.next, team);
+        this.crowns = { ...simulation.crowns };
+
+        // Arena
+        this.width = simulation.width;
+        this.height = simulation.height;
+        this.navigation = simulation.navigation;
+        this.zones = {
+            player: { ...simulation.getZone('player') },
+            enemy: { ...simulation.getZone('enemy') }
+        };
+
+        // value: what one unit is worth in elixir; a formation card's cost
+        // is shared between its units
+        this.units = simulation.units
+            .filter(unit => unit.alive)
+            .map(unit => ({
+                type: unit.type,
+                card: unit.card,
+                value: unit.card.cost / (unit.card.formation ? unit.card.formation.length : 1),
+                team: unit.team,
+                position: unit.position.clone(),
+                radius: unit.radius,
+                health: unit.health,
+                maxHealth: unit.maxHealth,
+                damage: unit.damage,
+                attackCooldown: unit.attackCooldown,
+                deploying: unit.deploying,
+                targets: unit.targets,
+                flying: unit.flying,
+                category: unit.category,
+                lane: unit.lane
+            }));
+
+        this.towers = simulation.towers
+            .filter(tower => tower.alive)
+            .map(tower => ({
+                team: tower.team,
+                kind: tower.kind,
+                isKing: tower.isKing,
+                active: tower.active,
+                position: tower.position.clone(),
+                radius: tower.radius,
+                health: tower.health,
+                maxHealth: tower.maxHealth
+            }));
+
+        this.buildings = simulation.buildings
+            .filter(building => building.alive)
+            .map(building => ({
+                type: building.type,
+                card: building.card,
+                value: building.card.cost,
+                team: building.team,
+                position: building.position.clone(),
+                radius: building.radius,
+                health: building.health,
+                maxHealth: building.maxHealth,
+                deploying: building.deploying,
+                targets: building.targets,
+                category: building.category
+            }));
+
+        Utils.deepFreeze(this);
+    }
+
+    zone(team) {
+        return this.zones[team];
+    }
+
+    kingTower(team) {
+        return this.towers.find(tower => tower.team === team && tower.isKing);
+    }
+
+    // Nearest standing tower owned by `team`
+    nearestTower(position, team) {
+        let nearest = null;
+        let nearestDistance = Infinity;
+
+        this.towers.forEach(tower => {
+            if (tower.team !== team) return;
+            const distance = position.distanceTo(tower.position);
+            if (distance < nearestDistance) {
+                nearestDistance = distance;
+                nearest = tower;
+            }
+        });
+
+        return nearest;
+    }
+
+    // What the board would look like `ticks` from now if we played
+    // `commands` right away and nobody played anything else. Runs on a
+    // copy of the match, so it is safe to call as often as needed.
+    forecast(commands, ticks) {
+        const simulation = this.#simulation.clone();
+        commands.forEach(command => simulation.applyCommand({ ...command, team: this.team }));
+
+        for (let i = 0; i < ticks && !simulation.over; i++) {
+            simulation.step();
+        }
+
+        return new Observation(simulation, this.team);
+    }
+}
@@ -0,0 +1,26 @@
+import { EasyAI } from './EasyAI.js';
+import { MediumAI } from './MediumAI.js';
+import { HardAI } from './HardAI.js';
+
+// Bots selectable from the main menu, in menu order. Adding a bot is one
+// entry here; the game only ever talks to the AIController interface.
+// unlockTrophies is how many trophies the player needs to pick it.
+export const AI_DIFFICULTIES = {
+    easy: { name: 'Easy', controller: EasyAI, unlockTrophies: 0 },
+    medium: { name: 'Medium', controller: MediumAI, unlockTrophies: 100 },
+    hard: { name: 'Hard', controller: HardAI, unlockTrophies: 300 }
+};
+
+export const DEFAULT_DIFFICULTY = 'medium';
+
+export function isDifficultyUnlocked(difficulty, trophies) {
+    return trophies >= AI_DIFFICULTIES[difficulty].unlockTrophies;
+}
+
+export function createAIController(difficulty, team, rng) {
+    const entry = AI_DIFFICULTIES[difficulty];
+    if (!entry) {
+        throw new Error(`Unknown AI difficulty "${difficulty}"`);
+    }
+    return new entry.controller(team, rng);
+}
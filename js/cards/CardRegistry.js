@@ -0,0 +1,380 @@
+import { CARD_DEFINITIONS } from './cards.js';
+import { PROJECTILE_MODES } from '../entities/Projectile.js';
+import { EFFECT_TYPES, EFFECTS_WITH_STRENGTH } from '../entities/StatusEffects.js';
+import { MIN_LEVEL, isLevel, applyLevel } from './levels.js';
+
+const CARD_TYPES = ['troop', 'spell', 'building'];
+const MOVEMENT_TYPES = ['ground', 'air'];
+const TARGET_TYPES = ['ground', 'air', 'buildings'];
+const BUILDING_TARGET_TYPES = ['ground', 'air'];
+const SPELL_AFFECTS = ['enemies', 'allies'];
+
+// Required numeric stats per card type and their minimum allowed value
+const STAT_MINIMUMS = {
+    troop: {
+        health: 1,
+        damage: 0,
+        speed: 0,
+        range: 0,
+        radius: 1,
+        visionRange: 0,
+        hitSpeed: 0.1,
+        windUp: 0,
+        deployTime: 0,
+        mass: 1
+    },
+    spell: {
+        damage: 0,
+        radius: 1
+    },
+    building: {
+        health: 1,
+        damage: 0,
+        range: 0,
+        radius: 1,
+        hitSpeed: 0.1,
+        lifetime: 1,
+        deployTime: 0
+    }
+};
+
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+const isString = value => typeof value === 'string' && value.length > 0;
+
+// Validated, read-only lookup of card definitions by id
+export class CardRegistry {
+    constructor(definitions) {
+        const errors = [];
+        Object.entries(definitions).forEach(([id, card]) => {
+            CardRegistry.validate(id, card).forEach(message => {
+                errors.push(`Card "${id}": ${message}`);
+            });
+        });
+
+        // Spawners and death spawns must name a troop card
+        Object.entries(definitions).forEach(([id, card]) => {
+            ['spawn', 'deathSpawn'].forEach(field => {
+                const spawn = card && card[field];
+                if (spawn && isString(spawn.card) &&
+                    !(definitions[spawn.card] && definitions[spawn.card].type === 'troop')) {
+                    errors.push(`Card "${id}": ${field}.card must be a troop card (got ${JSON.stringify(spawn.card)})`);
+                }
+            });
+        });
+
+        if (errors.length > 0) {
+            throw new Error(`Invalid card definitions:\n  ${errors.join('\n  ')}`);
+        }
+
+        this.cards = new Map();
+        Object.entries(definitions).forEach(([id, card]) => {
+            this.cards.set(id, CardRegistry.freeze({ id, level: MIN_LEVEL, ...card }));
+        });
+
+        // Leveled copies, built on first use
+        this.leveled = new Map();
+    }
+
+    // Return a list of problems with a card definition (empty if valid)
+    static validate(id, card) {
+        const errors = [];
+
+        if (!/^[a-z][a-z0-9_]*$/.test(id)) {
+            errors.push('id must be lowercase letters, digits or underscores');
+        }
+        if (!card || typeof card !== 'object') {
+            errors.push('definition must be an object');
+            return errors;
+        }
+
+        if (!isString(card.name)) errors.push('name must be a non-empty string');
+        if (!isString(card.description)) errors.push('description must be a non-empty string');
+        if (!CARD_TYPES.includes(card.type)) {
+            errors.push(`type must be one of ${CARD_TYPES.join(', ')} (got ${JSON.stringify(card.type)})`);
+        }
+        if (!Number.isInteger(card.cost) || card.cost < 0 || card.cost > 10) {
+            errors.push(`cost must be an integer from 0 to 10 (got ${JSON.stringify(card.cost)})`);
+        }
+
+        if (!card.stats || typeof card.stats !== 'object') {
+            errors.push('stats must be an object');
+        } else if (STAT_MINIMUMS[card.type]) {
+            Object.entries(STAT_MINIMUMS[card.type]).forEach(([stat, min]) => {
+                const value = card.stats[stat];
+                if (!isNumber(value) || value < min) {
+                    errors.push(`stats.${stat} must be a number >= ${min} (got ${JSON.stringify(value)})`);
+                }
+            });
+        }
+
+        if (card.effects !== undefined) {
+            errors.push(...CardRegistry.validateEffects(card.effects));
+        }
+
+        if (card.type === 'troop') {
+            errors.push(...CardRegistry.validateTroop(card));
+        } else if (card.type === 'spell') {
+            errors.push(...CardRegistry.validateSpell(card));
+        } else if (card.type === 'building') {
+            errors.push(...CardRegistry.validateBuilding(card));
+        }
+
+        if (!card.visuals || typeof card.visuals !== 'object') {
+            errors.push('visuals must be an object');
+        } else {
+            if (!isString(card.visuals.emoji)) errors.push('visuals.emoji must be a non-empty string');
+            if (!isNumber(card.visuals.size) || card.visuals.size <= 0) {
+                errors.push('visuals.size must be a positive number');
+            }
+        }
+
+        return errors;
+    }
+
+    static validateTroop(card) {
+        const errors = [];
+
+        if (card.stats && isNumber(card.stats.windUp) && card.stats.windUp >= card.stats.hitSpeed) {
+            errors.push('stats.windUp must be shorter than stats.hitSpeed');
+        }
+
+        if (!MOVEMENT_TYPES.includes(card.movement)) {
+            errors.push(`movement must be one of ${MOVEMENT_TYPES.join(', ')} (got ${JSON.stringify(card.movement)})`);
+        }
+
+        if (!Array.isArray(card.targets) || card.targets.length === 0 ||
+            !card.targets.every(target => TARGET_TYPES.includes(target))) {
+            errors.push(`targets must be a non-empty list of ${TARGET_TYPES.join(', ')}`);
+        } else if (card.projectile === null && card.targets.includes('air')) {
+            errors.push('melee troops (projectile null) cannot target air');
+        }
+
+        if (card.projectile !== null) {
+            errors.push(...CardRegistry.validateProjectile(card.projectile));
+        }
+        if (card.spawnOnly !== undefined && typeof card.spawnOnly !== 'boolean') {
+            errors.push('spawnOnly must be a boolean');
+        }
+
+        if (card.formation !== undefined) {
+            if (!Array.isArray(card.formation) || card.formation.length === 0) {
+                errors.push('formation must be a non-empty list of offsets');
+            } else if (!card.formation.every(offset => offset && isNumber(offset.x) && isNumber(offset.y))) {
+                errors.push('formation offsets must have numeric x and y');
+            }
+        }
+        if (card.deathSpawn !== undefined) {
+            errors.push(...CardRegistry.validateSpawn(card.deathSpawn, 'deathSpawn'));
+        }
+        if (card.deathDamage !== undefined) {
+            const deathDamage = card.deathDamage;
+            if (!deathDamage || typeof deathDamage !== 'object') {
+                errors.push('deathDamage must be an object');
+            } else {
+                if (!isNumber(deathDamage.damage) || deathDamage.damage < 0) {
+                    errors.push('deathDamage.damage must be a number >= 0');
+                }
+                if (!isNumber(deathDamage.radius) || deathDamage.radius <= 0) {
+                    errors.push('deathDamage.radius must be a positive number');
+                }
+            }
+        }
+
+        return errors;
+    }
+
+    // { card, count } shared by spawners and death spawns; the card itself
+    // is checked against the other definitions
+    static validateSpawn(spawn, field) {
+        if (!spawn || typeof spawn !== 'object') {
+            return [`${field} must be an object`];
+        }
+
+        const errors = [];
+        if (!isString(spawn.card)) errors.push(`${field}.card must be a card id`);
+        if (!Number.isInteger(spawn.count) || spawn.count < 1) {
+            errors.push(`${field}.count must be a positive integer`);
+        }
+        return errors;
+    }
+
+    static validateProjectile(projectile) {
+        if (!projectile || typeof projectile !== 'object') {
+            return ['projectile must be an object or null'];
+        }
+
+        const errors = [];
+        const mode = projectile.mode || 'homing';
+
+        if (!isNumber(projectile.speed) || projectile.speed <= 0) {
+            errors.push('projectile.speed must be a positive number');
+        }
+        if (!isNumber(projectile.radius) || projectile.radius <= 0) {
+            errors.push('projectile.radius must be a positive number');
+        }
+
+        if (!PROJECTILE_MODES.includes(mode)) {
+            errors.push(`projectile.mode must be one of ${PROJECTILE_MODES.join(', ')} (got ${JSON.stringify(mode)})`);
+        }
+        if (projectile.splashRadius !== undefined && (!isNumber(projectile.splashRadius) || projectile.splashRadius <= 0)) {
+            errors.push('projectile.splashRadius must be a positive number');
+        }
+        if (projectile.pierce !== undefined) {
+            if (!isNumber(projectile.pierce) || projectile.pierce <= 0) {
+                errors.push('projectile.pierce must be a positive number');
+            }
+            if (mode !== 'positional') {
+                errors.push('piercing projectiles must use mode "positional"');
+            }
+        }
+        if (projectile.color !== undefined && !isString(projectile.color)) {
+            errors.push('projectile.color must be a non-empty string');
+        }
+        if (projectile.emoji !== undefined && !isString(projectile.emoji)) {
+            errors.push('projectile.emoji must be a non-empty string');
+        }
+
+        return errors;
+    }
+
+    static validateEffects(effects) {
+        if (!Array.isArray(effects)) {
+            return ['effects must be a list'];
+        }
+
+        const errors = [];
+        effects.forEach((effect, i) => {
+            if (!effect || !Object.hasOwn(EFFECT_TYPES, effect.type)) {
+                errors.push(`effects[${i}].type must be one of ${Object.keys(EFFECT_TYPES).join(', ')}`);
+                return;
+            }
+            if (!isNumber(effect.duration) || effect.duration <= 0) {
+                errors.push(`effects[${i}].duration must be a positive number`);
+            }
+            if (EFFECTS_WITH_STRENGTH.includes(effect.type) && (!isNumber(effect.strength) || effect.strength <= 0)) {
+                errors.push(`effects[${i}].strength must be a positive number for ${effect.type}`);
+            }
+            if (effect.type === 'slow' && effect.strength >= 1) {
+                errors.push(`effects[${i}].strength must be below 1 for slow`);
+            }
+        });
+        return errors;
+    }
+
+    static validateSpell(card) {
+        const errors = [];
+        const spell = card.spell;
+
+        if (!spell || typeof spell !== 'object') {
+            errors.push('spell must be an object');
+            return errors;
+        }
+
+        if (!isNumber(spell.travelSpeed) || spell.travelSpeed < 0) {
+            errors.push('spell.travelSpeed must be a number >= 0');
+        }
+        if (!isNumber(spell.towerDamageScale) || spell.towerDamageScale < 0 || spell.towerDamageScale > 1) {
+            errors.push('spell.towerDamageScale must be a number from 0 to 1');
+        }
+        if (spell.duration !== undefined) {
+            if (!isNumber(spell.duration) || spell.duration <= 0) {
+                errors.push('spell.duration must be a positive number');
+            }
+            if (!isNumber(spell.tickInterval) || spell.tickInterval <= 0) {
+                errors.push('spell.tickInterval must be a positive number when spell.duration is set');
+            }
+        }
+        if (spell.affects !== undefined && !SPELL_AFFECTS.includes(spell.affects)) {
+            errors.push(`spell.affects must be one of ${SPELL_AFFECTS.join(', ')}`);
+        }
+        if (spell.affects === 'allies' && !(card.effects && card.effects.length > 0)) {
+            errors.push('spells that affect allies need effects');
+        }
+        if (!card.visuals || typeof card.visuals.color !== 'string') {
+            errors.push('visuals.color must be a string');
+        }
+
+        return errors;
+    }
+
+    static validateBuilding(card) {
+        const errors = [];
+        const stats = card.stats || {};
+
+        if (!Array.isArray(card.targets) || !card.targets.every(target => BUILDING_TARGET_TYPES.includes(target))) {
+            errors.push(`targets must be a list of ${BUILDING_TARGET_TYPES.join(', ')}`);
+        } else if (card.targets.length === 0 && !card.spawn) {
+            errors.push('buildings need targets, a spawn or both');
+        }
+
+        // null fires a beam: the damage lands at once
+        if (card.projectile !== null) {
+            errors.push(...CardRegistry.validateProjectile(card.projectile));
+        }
+
+        if (stats.rampDamage !== undefined || stats.rampTime !== undefined) {
+            if (!isNumber(stats.rampDamage) || stats.rampDamage < stats.damage) {
+                errors.push('stats.rampDamage must be a number >= stats.damage');
+            }
+            if (!isNumber(stats.rampTime) || stats.rampTime <= 0) {
+                errors.push('stats.rampTime must be a positive number');
+            }
+        }
+
+        if (card.spawn !== undefined) {
+            errors.push(...CardRegistry.validateSpawn(card.spawn, 'spawn'));
+            if (card.spawn && !(isNumber(card.spawn.interval) && card.spawn.interval > 0)) {
+                errors.push('spawn.interval must be a positive number');
+            }
+        }
+
+        return errors;
+    }
+
+    // Deep-freeze a definition so nothing can edit shared card data in place
+    static freeze(value) {
+        if (value && typeof value === 'object') {
+            Object.values(value).forEach(CardRegistry.freeze);
+            Object.freeze(value);
+        }
+        return value;
+    }
+
+    has(id) {
+        return this.cards.has(id);
+    }
+
+    get(id) {
+        const card = this.cards.get(id);
+        if (!card) {
+            throw new Error(`Unknown card "${id}"`);
+        }
+        return card;
+    }
+
+    // The card with its stats at `level` (see levels.js)
+    getLeveled(id, level = MIN_LEVEL) {
+        if (!isLevel(level)) {
+            throw new Error(`Invalid level ${JSON.stringify(level)} for card "${id}"`);
+        }
+        const card = this.get(id);
+        if (level === MIN_LEVEL) return card;
+
+        const key = `${id}@${level}`;
+        if (!this.leveled.has(key)) {
+            this.leveled.set(key, CardRegistry.freeze(applyLevel(card, level)));
+        }
+        return this.leveled.get(key);
+    }
+
+    ids() {
+        return Array.from(this.cards.keys());
+    }
+
+    all() {
+        return Array.from(this.cards.values());
+    }
+}
+
+// Shared registry built from the bundled definitions
+export const cards = new CardRegistry(CARD_DEFINITIONS);
@@ -0,0 +1,647 @@
+// Card definitions. This is the single source of truth for every card's
+// cost, stats and visuals; the simulation, units, tooltips and the deck DOM
+// are all generated from it. Entries are validated by CardRegistry on load.
+//
+// Troops: stats.speed is in pixels per second, stats.range/radius/visionRange
+// in pixels and stats.hitSpeed in seconds between attacks. Each attack winds
+// up for stats.windUp seconds before its damage lands or its shot leaves, so
+// a troop's first hit comes windUp after it gets in range; switching targets
+// or being stunned calls the swing off. A placed troop stands inert for
+// stats.deployTime seconds. stats.range is measured from the edge of the
+// target, since bodies cannot overlap.
+// stats.mass decides who gives way when troops bump into each other: a
+// heavy troop shoves a light one aside and barely moves itself. movement is
+// 'ground' (walks, crosses the river on bridges) or 'air' (flies straight
+// over it). targets lists what the card may attack: 'ground' units, 'air'
+// units and/or 'buildings'. projectile is null for melee cards; melee cards
+// cannot target air. spawnOnly troops only come out of spawners and can't
+// be put in a deck.
+//
+// formation (optional) deploys one unit per { x, y } offset in pixels from
+// the drop point, as the bottom side sees it (negative y is forward); the
+// top side's formation is turned around. stats are per unit.
+// deathSpawn ({ card, count }) drops count troops where the unit dies, and
+// deathDamage ({ damage, radius }) hits every enemy on the ground within
+// radius pixels of it.
+//
+// Projectiles: speed in pixels per second and radius in pixels. mode is
+// 'homing' (the default: follows the target and always hits it) or
+// 'positional' (lands where the target stood when fired). splashRadius
+// deals the damage to every enemy around the point of impact; pierce makes
+// the shot roll on for that many pixels, hitting everything in its path.
+// color and emoji change how the shot looks.
+//
+// effects (optional, troops and spells) lists status effects put on whatever
+// the card hits, as { type, duration (seconds), strength }; see
+// StatusEffects.js for the types. A spell with spell.affects 'allies' puts
+// its effects on its own side instead and deals no damage.
+//
+// Spells: stats.damage is dealt to every enemy within stats.radius pixels of
+// the drop point. spell.travelSpeed is how fast it flies from the king tower
+// (0 = lands instantly) and spell.towerDamageScale the fraction of damage
+// towers take. Lingering spells set spell.duration and spell.tickInterval
+// (seconds) and deal stats.damage on every tick.
+//
+// Buildings: placed on your own side, clear of other buildings and towers.
+// They never move, shoot what is within stats.range pixels of their centre
+// (targets: 'ground' and/or 'air') and lose health steadily until they
+// crumble after stats.lifetime seconds. projectile null fires a beam whose
+// damage lands at once; stats.rampDamage and stats.rampTime make it climb
+// to rampDamage over rampTime seconds on the same target. spawn
+// ({ card, count, interval }) sends out count troops every interval seconds.
+// Buildings award no crowns.
+export const CARD_DEFINITIONS = {
+    knight: {
+        name: 'Knight',
+        type: 'troop',
+        cost: 3,
+        description: 'A sturdy melee fighter who holds the line.',
+        stats: {
+            health: 1200,
+            damage: 150,
+            speed: 30,
+            range: 25,
+            radius: 15,
+            visionRange: 150,
+            hitSpeed: 1.2,
+            windUp: 0.5,
+            deployTime: 1.0,
+            mass: 6
+        },
+        movement: 'ground',
+        targets: ['ground', 'buildings'],
+        projectile: null,
+        visuals: { emoji: '⚔️', size: 20 }
+    },
+    archer: {
+        name: 'Archer',
+        type: 'troop',
+        cost: 3,
+        description: 'Shoots arrows from a safe distance.',
+        stats: {
+            health: 400,
+            damage: 100,
+            speed: 40,
+            range: 100,
+            radius: 12,
+            visionRange: 180,
+            hitSpeed: 0.9,
+            windUp: 0.4,
+            deployTime: 1.0,
+            mass: 3
+        },
+        movement: 'ground',
+        targets: ['ground', 'air', 'buildings'],
+        projectile: { speed: 200, radius: 3 },
+        visuals: { emoji: '🏹', size: 18 }
+    },
+    giant: {
+        name: 'Giant',
+        type: 'troop',
+        cost: 5,
+        description: 'Slow and massive. Walks past troops and only attacks buildings.',
+        stats: {
+            health: 3000,
+            damage: 200,
+            speed: 20,
+            range: 30,
+            radius: 25,
+            visionRange: 120,
+            hitSpeed: 1.5,
+            windUp: 0.6,
+            deployTime: 1.0,
+            mass: 18
+        },
+        movement: 'ground',
+        targets: ['buildings'],
+        projectile: null,
+        visuals: { emoji: '👹', size: 30 }
+    },
+    wizard: {
+        name: 'Wizard',
+        type: 'troop',
+        cost: 5,
+        description: 'Hurls fireballs that burst over every enemy around the target.',
+        stats: {
+            health: 600,
+            damage: 250,
+            speed: 35,
+            range: 120,
+            radius: 12,
+            visionRange: 210,
+            hitSpeed: 1.4,
+            windUp: 0.5,
+            deployTime: 1.0,
+            mass: 4
+        },
+        movement: 'ground',
+        targets: ['ground', 'air', 'buildings'],
+        projectile: { speed: 200, radius: 4, splashRadius: 40, color: '#e67e22' },
+        visuals: { emoji: '🧙‍♂️', size: 20 }
+    },
+    musketeer: {
+        name: 'Musketeer',
+        type: 'troop',
+        cost: 4,
+        description: 'A sharpshooter with the longest reach on the field.',
+        stats: {
+            health: 600,
+            damage: 180,
+            speed: 35,
+            range: 130,
+            radius: 13,
+            visionRange: 200,
+            hitSpeed: 1.1,
+            windUp: 0.4,
+            deployTime: 1.0,
+            mass: 4
+        },
+        movement: 'ground',
+        targets: ['ground', 'air', 'buildings'],
+        projectile: { speed: 250, radius: 3 },
+        visuals: { emoji: '🔫', size: 19 }
+    },
+    valkyrie: {
+        name: 'Valkyrie',
+        type: 'troop',
+        cost: 4,
+        description: 'A tough warrior who swings slow but heavy.',
+        stats: {
+            health: 1600,
+            damage: 220,
+            speed: 30,
+            range: 25,
+            radius: 15,
+            visionRange: 150,
+            hitSpeed: 1.5,
+            windUp: 0.6,
+            deployTime: 1.0,
+            mass: 6
+        },
+        movement: 'ground',
+        targets: ['ground', 'buildings'],
+        projectile: null,
+        visuals: { emoji: '🪓', size: 21 }
+    },
+    mini_pekka: {
+        name: 'Mini P.E.K.K.A',
+        type: 'troop',
+        cost: 4,
+        description: 'Fragile armor, devastating blade.',
+        stats: {
+            health: 1100,
+            damage: 600,
+            speed: 45,
+            range: 22,
+            radius: 14,
+            visionRange: 150,
+            hitSpeed: 1.8,
+            windUp: 0.5,
+            deployTime: 1.0,
+            mass: 5
+        },
+        movement: 'ground',
+        targets: ['ground', 'buildings'],
+        projectile: null,
+        visuals: { emoji: '🤖', size: 20 }
+    },
+    hog_rider: {
+        name: 'Hog Rider',
+        type: 'troop',
+        cost: 4,
+        description: 'Ignores troops and charges straight for the towers.',
+        stats: {
+            health: 1400,
+            damage: 260,
+            speed: 60,
+            range: 22,
+            radius: 16,
+            visionRange: 120,
+            hitSpeed: 1.6,
+            windUp: 0.6,
+            deployTime: 1.0,
+            mass: 6
+        },
+        movement: 'ground',
+        targets: ['buildings'],
+        projectile: null,
+        visuals: { emoji: '🐗', size: 22 }
+    },
+    minions: {
+        name: 'Minions',
+        type: 'troop',
+        cost: 3,
+        description: 'Quick flyers that cross the river freely and hit air and ground.',
+        stats: {
+            health: 250,
+            damage: 90,
+            speed: 55,
+            range: 60,
+            radius: 10,
+            visionRange: 160,
+            hitSpeed: 1.0,
+            windUp: 0.3,
+            deployTime: 1.0,
+            mass: 2
+        },
+        movement: 'air',
+        targets: ['ground', 'air', 'buildings'],
+        projectile: { speed: 220, radius: 3 },
+        visuals: { emoji: '🦇', size: 18 }
+    },
+    baby_dragon: {
+        name: 'Baby Dragon',
+        type: 'troop',
+        cost: 4,
+        description: 'A tough little flyer that breathes fire on anything below or beside it.',
+        stats: {
+            health: 1000,
+            damage: 130,
+            speed: 40,
+            range: 80,
+            radius: 16,
+            visionRange: 160,
+            hitSpeed: 1.5,
+            windUp: 0.5,
+            deployTime: 1.0,
+            mass: 6
+        },
+        movement: 'air',
+        targets: ['ground', 'air', 'buildings'],
+        projectile: { speed: 180, radius: 5, splashRadius: 35, color: '#e67e22' },
+        visuals: { emoji: '🐉', size: 24 }
+    },
+    ice_wizard: {
+        name: 'Ice Wizard',
+        type: 'troop',
+        cost: 3,
+        description: 'Chills everything around his target, slowing its movement and attacks.',
+        stats: {
+            health: 590,
+            damage: 75,
+            speed: 35,
+            range: 110,
+            radius: 12,
+            visionRange: 200,
+            hitSpeed: 1.7,
+            windUp: 0.5,
+            deployTime: 1.0,
+            mass: 4
+        },
+        movement: 'ground',
+        targets: ['ground', 'air', 'buildings'],
+        projectile: { speed: 200, radius: 4, splashRadius: 30, color: '#74b9ff' },
+        effects: [{ type: 'slow', duration: 2.5, strength: 0.35 }],
+        visuals: { emoji: '🥶', size: 20 }
+    },
+    bowler: {
+        name: 'Bowler',
+        type: 'troop',
+        cost: 5,
+        description: 'Rolls heavy boulders that crush every ground troop in their path.',
+        stats: {
+            health: 1300,
+            damage: 180,
+            speed: 28,
+            range: 90,
+            radius: 17,
+            visionRange: 170,
+            hitSpeed: 2.5,
+            windUp: 0.9,
+            deployTime: 1.0,
+            mass: 10
+        },
+        movement: 'ground',
+        targets: ['ground', 'buildings'],
+        projectile: { speed: 140, radius: 8, mode: 'positional', pierce: 150, emoji: '🪨' },
+        visuals: { emoji: '🎳', size: 24 }
+    },
+    skeleton: {
+        name: 'Skeleton',
+        type: 'troop',
+        cost: 1,
+        description: 'A frail but quick bony swordsman from the Tombstone.',
+        stats: {
+            health: 80,
+            damage: 80,
+            speed: 45,
+            range: 15,
+            radius: 8,
+            visionRange: 140,
+            hitSpeed: 1.0,
+            windUp: 0.3,
+            deployTime: 0.5,
+            mass: 1
+        },
+        movement: 'ground',
+        targets: ['ground', 'buildings'],
+        projectile: null,
+        spawnOnly: true,
+        visuals: { emoji: '💀', size: 14 }
+    },
+    spear_goblin: {
+        name: 'Spear Goblin',
+        type: 'troop',
+        cost: 2,
+        description: 'Throws spears from the Goblin Hut at anything in reach.',
+        stats: {
+            health: 130,
+            damage: 70,
+            speed: 55,
+            range: 100,
+            radius: 9,
+            visionRange: 180,
+            hitSpeed: 1.7,
+            windUp: 0.4,
+            deployTime: 0.5,
+            mass: 2
+        },
+        movement: 'ground',
+        targets: ['ground', 'air', 'buildings'],
+        projectile: { speed: 250, radius: 3 },
+        spawnOnly: true,
+        visuals: { emoji: '👺', size: 16 }
+    },
+    barbarians: {
+        name: 'Barbarians',
+        type: 'troop',
+        cost: 5,
+        description: 'A gang of four sturdy brawlers with big axes.',
+        stats: {
+            health: 550,
+            damage: 130,
+            speed: 30,
+            range: 20,
+            radius: 12,
+            visionRange: 150,
+            hitSpeed: 1.4,
+            windUp: 0.5,
+            deployTime: 1.0,
+            mass: 4
+        },
+        movement: 'ground',
+        targets: ['ground', 'buildings'],
+        projectile: null,
+        formation: [
+            { x: -18, y: 0 }, { x: 18, y: 0 },
+            { x: 0, y: -18 }, { x: 0, y: 18 }
+        ],
+        visuals: { emoji: '🪓', size: 18 }
+    },
+    skeleton_army: {
+        name: 'Skeleton Army',
+        type: 'troop',
+        cost: 3,
+        description: 'Fifteen Skeletons that swarm anything on the ground. Weak to splash.',
+        stats: {
+            health: 80,
+            damage: 80,
+            speed: 45,
+            range: 15,
+            radius: 8,
+            visionRange: 140,
+            hitSpeed: 1.0,
+            windUp: 0.3,
+            deployTime: 1.0,
+            mass: 1
+        },
+        movement: 'ground',
+        targets: ['ground', 'buildings'],
+        projectile: null,
+        formation: [
+            { x: -32, y: -16 }, { x: -16, y: -16 }, { x: 0, y: -16 }, { x: 16, y: -16 }, { x: 32, y: -16 },
+            { x: -32, y: 0 }, { x: -16, y: 0 }, { x: 0, y: 0 }, { x: 16, y: 0 }, { x: 32, y: 0 },
+            { x: -32, y: 16 }, { x: -16, y: 16 }, { x: 0, y: 16 }, { x: 16, y: 16 }, { x: 32, y: 16 }
+        ],
+        visuals: { emoji: '💀', size: 14 }
+    },
+    golem: {
+        name: 'Golem',
+        type: 'troop',
+        cost: 8,
+        description: 'A slow rock giant that only hits buildings and splits into two Golemites when it falls.',
+        stats: {
+            health: 4000,
+            damage: 240,
+            speed: 18,
+            range: 25,
+            radius: 28,
+            visionRange: 120,
+            hitSpeed: 2.5,
+            windUp: 1.0,
+            deployTime: 1.0,
+            mass: 24
+        },
+        movement: 'ground',
+        targets: ['buildings'],
+        projectile: null,
+        deathSpawn: { card: 'golemite', count: 2 },
+        deathDamage: { damage: 140, radius: 60 },
+        visuals: { emoji: '🗿', size: 34 }
+    },
+    golemite: {
+        name: 'Golemite',
+        type: 'troop',
+        cost: 2,
+        description: 'A chunk of Golem that keeps marching on buildings.',
+        stats: {
+            health: 800,
+            damage: 50,
+            speed: 18,
+            range: 20,
+            radius: 14,
+            visionRange: 120,
+            hitSpeed: 2.5,
+            windUp: 1.0,
+            deployTime: 0.5,
+            mass: 8
+        },
+        movement: 'ground',
+        targets: ['buildings'],
+        projectile: null,
+        spawnOnly: true,
+        deathDamage: { damage: 30, radius: 40 },
+        visuals: { emoji: '🪨', size: 20 }
+    },
+    balloon: {
+        name: 'Balloon',
+        type: 'troop',
+        cost: 5,
+        description: 'Flies straight at buildings and drops a bomb when it is popped.',
+        stats: {
+            health: 1000,
+            damage: 400,
+            speed: 40,
+            range: 15,
+            radius: 16,
+            visionRange: 120,
+            hitSpeed: 2.0,
+            windUp: 0.6,
+            deployTime: 1.0,
+            mass: 5
+        },
+        movement: 'air',
+        targets: ['buildings'],
+        projectile: null,
+        deathDamage: { damage: 150, radius: 50 },
+        visuals: { emoji: '🎈', size: 24 }
+    },
+    cannon: {
+        name: 'Cannon',
+        type: 'building',
+        cost: 3,
+        description: 'A sturdy cannon that lures ground troops away from your towers.',
+        stats: {
+            health: 800,
+            damage: 130,
+            range: 110,
+            radius: 20,
+            hitSpeed: 0.9,
+            lifetime: 30,
+            deployTime: 1.0
+        },
+        targets: ['ground'],
+        projectile: { speed: 300, radius: 5, color: '#2c3e50' },
+        visuals: { emoji: '💣', size: 26 }
+    },
+    inferno_tower: {
+        name: 'Inferno Tower',
+        type: 'building',
+        cost: 5,
+        description: 'Its beam burns hotter the longer it stays on one target. Melts tanks.',
+        stats: {
+            health: 1450,
+            damage: 20,
+            rampDamage: 400,
+            rampTime: 4,
+            range: 120,
+            radius: 22,
+            hitSpeed: 0.4,
+            lifetime: 40,
+            deployTime: 1.0
+        },
+        targets: ['ground', 'air'],
+        projectile: null,
+        visuals: { emoji: '🌋', size: 28 }
+    },
+    tombstone: {
+        name: 'Tombstone',
+        type: 'building',
+        cost: 3,
+        description: 'Raises a Skeleton every few seconds to distract attackers.',
+        stats: {
+            health: 420,
+            damage: 0,
+            range: 0,
+            radius: 18,
+            hitSpeed: 1.0,
+            lifetime: 40,
+            deployTime: 1.0
+        },
+        targets: [],
+        projectile: null,
+        spawn: { card: 'skeleton', count: 1, interval: 3.5 },
+        visuals: { emoji: '🪦', size: 24 }
+    },
+    goblin_hut: {
+        name: 'Goblin Hut',
+        type: 'building',
+        cost: 5,
+        description: 'Sends out Spear Goblins for as long as it stands.',
+        stats: {
+            health: 1000,
+            damage: 0,
+            range: 0,
+            radius: 24,
+            hitSpeed: 1.0,
+            lifetime: 60,
+            deployTime: 1.0
+        },
+        targets: [],
+        projectile: null,
+        spawn: { card: 'spear_goblin', count: 1, interval: 5 },
+        visuals: { emoji: '🛖', size: 28 }
+    },
+    fireball: {
+        name: 'Fireball',
+        type: 'spell',
+        cost: 4,
+        description: 'Launches a ball of fire that burns everything it lands on.',
+        stats: {
+            damage: 570,
+            radius: 60
+        },
+        spell: { travelSpeed: 400, towerDamageScale: 0.3 },
+        visuals: { emoji: '🔥', size: 24, color: '#e67e22' }
+    },
+    arrows: {
+        name: 'Arrows',
+        type: 'spell',
+        cost: 3,
+        description: 'A volley of arrows that clears out weak troops over a wide area.',
+        stats: {
+            damage: 240,
+            radius: 90
+        },
+        spell: { travelSpeed: 500, towerDamageScale: 0.3 },
+        visuals: { emoji: '🏹', size: 20, color: '#95a5a6' }
+    },
+    zap: {
+        name: 'Zap',
+        type: 'spell',
+        cost: 2,
+        description: 'Strikes instantly with a small bolt of lightning that briefly stuns.',
+        stats: {
+            damage: 160,
+            radius: 50
+        },
+        spell: { travelSpeed: 0, towerDamageScale: 0.3 },
+        effects: [{ type: 'stun', duration: 0.5 }],
+        visuals: { emoji: '⚡', size: 20, color: '#74b9ff' }
+    },
+    poison: {
+        name: 'Poison',
+        type: 'spell',
+        cost: 4,
+        description: 'Covers an area in toxic fumes that wear troops down over time.',
+        stats: {
+            damage: 0,
+            radius: 70
+        },
+        spell: { travelSpeed: 0, towerDamageScale: 0.3, duration: 8, tickInterval: 0.5 },
+        effects: [{ type: 'poison', duration: 1, strength: 80 }],
+        visuals: { emoji: '☠️', size: 20, color: '#27ae60' }
+    },
+    freeze: {
+        name: 'Freeze',
+        type: 'spell',
+        cost: 4,
+        description: 'Freezes troops and towers in place for a few seconds.',
+        stats: {
+            damage: 70,
+            radius: 70
+        },
+        spell: { travelSpeed: 0, towerDamageScale: 0.3 },
+        effects: [{ type: 'freeze', duration: 4 }],
+        visuals: { emoji: '❄️', size: 20, color: '#a0e7ff' }
+    },
+    rage: {
+        name: 'Rage',
+        type: 'spell',
+        cost: 2,
+        description: 'Sends your troops into a frenzy: faster, quicker to strike and harder hitting.',
+        stats: {
+            damage: 0,
+            radius: 80
+        },
+        spell: { travelSpeed: 0, towerDamageScale: 0, duration: 6, tickInterval: 0.5, affects: 'allies' },
+        effects: [{ type: 'rage', duration: 2, strength: 0.35 }],
+        visuals: { emoji: '😡', size: 20, color: '#9b59b6' }
+    }
+};
+
+// Deck used when a side doesn't bring its own
+export const DEFAULT_DECK = [
+    'knight', 'archer', 'giant', 'wizard',
+    'musketeer', 'valkyrie', 'fireball', 'zap'
+];
@@ -0,0 +1,56 @@
+import { EFFECT_TYPES } from '../entities/StatusEffects.js';
+
+// Card levels. A card's health, damage and damage over time grow by about
+// 10% per level; the multipliers are written out rather than computed so
+// every browser and the server agree on them to the last bit in lockstep
+// play.
+export const MIN_LEVEL = 1;
+export const MAX_LEVEL = 14;
+
+export const LEVEL_MULTIPLIERS = [
+    1.00, 1.10, 1.21, 1.33, 1.46, 1.61, 1.77,
+    1.95, 2.14, 2.36, 2.59, 2.85, 3.14, 3.45
+];
+
+export function isLevel(level) {
+    return Number.isInteger(level) && level >= MIN_LEVEL && level <= MAX_LEVEL;
+}
+
+export function levelMultiplier(level) {
+    return LEVEL_MULTIPLIERS[level - MIN_LEVEL];
+}
+
+// Copy of a card definition with its health and damage at `level`.
+// Rounded to whole points so the numbers read well on tooltips.
+export function applyLevel(card, level) {
+    const multiplier = levelMultiplier(level);
+    const scale = value => Math.round(value * multiplier);
+
+    const stats = { ...card.stats };
+    ['health', 'damage', 'rampDamage'].forEach(stat => {
+        if (stats[stat] !== undefined) stats[stat] = scale(stats[stat]);
+    });
+
+    const leveled = { ...card, level, stats };
+    if (card.deathDamage) {
+        leveled.deathDamage = { ...card.deathDamage, damage: scale(card.deathDamage.damage) };
+    }
+    if (card.effects) {
+        leveled.effects = card.effects.map(effect => EFFECT_TYPES[effect.type].damagePerSecond
+            ? { ...effect, strength: scale(effect.strength) }
+            : effect);
+    }
+    return leveled;
+}
+
+// Throws unless levels maps card ids to valid levels
+export function validateLevels(levels) {
+    if (!levels || typeof levels !== 'object' || Array.isArray(levels)) {
+        throw new Error('Card levels must be an object of card id to level');
+    }
+    Object.entries(levels).forEach(([cardId, level]) => {
+        if (!isLevel(level)) {
+            throw new Error(`Card "${cardId}" has level ${JSON.stringify(level)}; levels go from ${MIN_LEVEL} to ${MAX_LEVEL}`);
+        }
+    });
+}
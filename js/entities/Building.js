@@ -0,0 +1,311 @@
+import { Vector2D, Utils } from '../utils/Utils.js';
+import { Projectile } from './Projectile.js';
+import { StatusEffects } from './StatusEffects.js';
+
+// A structure on the board: a crown tower or a building placed from a card.
+// `definition` has the shape of a building card (see cards.js): stats,
+// targets, projectile, an optional spawner and visuals. Buildings never
+// move, only attack units in range, and placed ones crumble over their
+// lifetime.
+export class Building {
+    constructor(position, team, definition) {
+        this.position = position.clone();
+        this.team = team;
+        this.type = definition.id;
+        this.card = definition;
+        this.alive = true;
+        this.active = true; // a sleeping king tower is the only inactive building
+        this.category = 'buildings'; // what attackers must target to hit it
+        this.targets = definition.targets;
+
+        const stats = definition.stats;
+        this.maxHealth = stats.health;
+        this.health = stats.health;
+        this.damage = stats.damage;
+        this.attackRange = stats.range;
+        this.radius = stats.radius;
+
+        // Seconds until it has crumbled away; 0 lasts forever
+        this.lifetime = stats.lifetime || 0;
+
+        // Placed buildings stand inert until they have deployed
+        this.deployTime = stats.deployTime || 0; // seconds
+        this.deployTimeLeft = this.deployTime;
+
+        // Combat
+        this.target = null;
+        this.lastAttack = -Infinity; // game time (ms) of the last attack
+        this.attackCooldown = stats.hitSpeed * 1000;
+        this.damageDealt = 0; // over its lifetime, for the match stats
+        this.effects = new StatusEffects();
+        this.onHitEffects = definition.effects || [];
+
+        // Ramping damage (Inferno Tower): damage climbs towards rampDamage
+        // over rampTime seconds on the same target
+        this.rampDamage = stats.rampDamage || 0;
+        this.rampTime = stats.rampTime || 0;
+        this.lockedSince = 0; // game time (ms) the current target was picked
+        this.rampLevel = 0; // 0 = base damage, 1 = full ramp
+
+        // Spawners produce a troop every spawn.interval seconds
+        this.spawn = definition.spawn || null;
+        this.spawnTimer = 0;
+
+        // Visual
+        this.size = definition.visuals.size;
+        this.emoji = definition.visuals.emoji;
+    }
+
+    get deploying() {
+        return this.deployTimeLeft > 0;
+    }
+
+    update(deltaTime, game) {
+        if (!this.alive) return;
+
+        // Status effects tick even on a sleeping king tower
+        this.effects.update(deltaTime, game, this);
+        if (!this.alive) return;
+
+        if (this.deployTimeLeft > 0) {
+            this.deployTimeLeft = Math.max(0, this.deployTimeLeft - deltaTime);
+            return;
+        }
+
+        this.decay(deltaTime);
+        if (!this.alive || !this.active) return;
+
+        if (this.spawn) {
+            this.updateSpawner(deltaTime, game);
+        }
+
+        if (this.targets.length === 0) return;
+
+        // Find target
+        this.findTarget(game);
+
+        // A stunned building holds fire and its attack and ramp start over
+        if (this.effects.stunned) {
+            this.lastAttack = game.time;
+            this.lockedSince = game.time;
+            this.rampLevel = 0;
+            return;
+        }
+
+        // Attack if target in range
+        this.updateRamp(game.time);
+        this.attemptAttack(game);
+    }
+
+    decay(deltaTime) {
+        if (this.lifetime <= 0) return;
+
+        this.health -= this.maxHealth / this.lifetime * deltaTime;
+        if (this.health <= 0) {
+            this.health = 0;
+            this.alive = false;
+        }
+    }
+
+    updateSpawner(deltaTime, game) {
+        this.spawnTimer += deltaTime;
+        if (this.spawnTimer < this.spawn.interval) return;
+        this.spawnTimer -= this.spawn.interval;
+
+        // Troops walk out of the side facing the enemy, at the building's level
+        const forward = this.team === 'player' ? -1 : 1;
+        for (let i = 0; i < this.spawn.count; i++) {
+            const offset = new Vector2D((i - (this.spawn.count - 1) / 2) * 14, forward * this.radius);
+            game.spawnUnit(this.spawn.card, this.position.clone().add(offset), this.team, this.card.level);
+        }
+    }
+
+    canTarget(entity) {
+        return this.targets.includes(entity.category);
+    }
+
+    get attackDamage() {
+        const damage = this.damage + (this.rampDamage - this.damage) * this.rampLevel;
+        return damage * this.effects.damageMultiplier;
+    }
+
+    applyEffect(effect, time, source = null) {
+        this.effects.apply(effect, time, source);
+    }
+
+    // Buildings keep their target while it stays in range, otherwise pick
+    // the closest enemy unit they can hit
+    findTarget(game) {
+        const current = this.target;
+        if (current && current.alive && this.position.distanceTo(current.position) <= this.attackRange) {
+            return;
+        }
+
+        let closestTarget = null;
+        let closestDistance = Infinity;
+
+        // Look for enemy units within range
+        const nearby = game.unitGrid.queryRadius(this.position, this.attackRange,
+            unit => unit.team !== this.team && this.canTarget(unit));
+        nearby.forEach(unit => {
+            const distance = this.position.distanceTo(unit.position);
+            if (distance <= this.attackRange && distance < closestDistance) {
+                closestDistance = distance;
+                closestTarget = unit;
+            }
+        });
+
+        if (closestTarget !== current) {
+            this.lockedSince = game.time;
+        }
+        this.target = closestTarget;
+    }
+
+    updateRamp(time) {
+        if (this.rampTime <= 0) return;
+        this.rampLevel = Math.min(1, (time - this.lockedSince) / (this.rampTime * 1000));
+    }
+
+    attemptAttack(game) {
+        if (!this.target || !this.target.alive) return;
+
+        const currentTime = game.time;
+        if (currentTime - this.lastAttack < this.attackCooldown / this.effects.attackSpeedMultiplier) return;
+
+        const distanceToTarget = this.position.distanceTo(this.target.position);
+        if (distanceToTarget <= this.attackRange) {
+            this.attack(this.target, game);
+            this.lastAttack = currentTime;
+        }
+    }
+
+    attack(target, game) {
+        if (this.card.projectile) {
+            game.projectiles.push(new Projectile(this.card.projectile, this, target));
+        } else {
+            // Beam: the damage lands at once
+            game.dealDamage(this, target, this.attackDamage);
+            this.onHitEffects.forEach(effect => target.applyEffect(effect, game.time, this));
+        }
+    }
+
+    takeDamage(amount) {
+        this.health -= amount;
+        if (this.health <= 0) {
+            this.health = 0;
+            this.alive = false;
+        }
+    }
+
+    render(ctx) {
+        if (!this.alive) return;
+
+        // Beam buildings draw a ray to their target, thicker as it ramps up
+        if (!this.card.projectile && this.target && this.target.alive && !this.deploying) {
+            ctx.save();
+            ctx.strokeStyle = this.team === 'player' ? 'rgba(52, 152, 219, 0.8)' : 'rgba(231, 76, 60, 0.8)';
+            ctx.lineWidth = 2 + this.rampLevel * 4;
+            ctx.beginPath();
+            ctx.moveTo(this.position.x, this.position.y);
+            ctx.lineTo(this.target.position.x, this.target.position.y);
+            ctx.stroke();
+            ctx.restore();
+        }
+
+        ctx.save();
+
+        // Stay upright even in a flipped view
+        Utils.translateUpright(ctx, this.position.x, this.position.y);
+
+        // Deploying buildings are see-through until they can act
+        if (this.deploying) {
+            ctx.globalAlpha = 0.5;
+        }
+
+        // Draw tower shadow
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
+        ctx.beginPath();
+        ctx.ellipse(0, this.size/2, this.size/2, this.size/4, 0, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Team color base
+        ctx.fillStyle = this.team === 'player' ? '#2ecc71' : '#e74c3c';
+        ctx.beginPath();
+        ctx.arc(0, 0, this.size, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Tower structure
+        ctx.fillStyle = '#95a5a6';
+        ctx.fillRect(-this.size/2, -this.size/2, this.size, this.size);
+
+        // Tower emoji
+        ctx.font = `${this.size}px Arial`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(this.emoji, 0, 0);
+
+        // Sleeping king tower
+        if (!this.active) {
+            ctx.font = '14px Arial';
+            ctx.fillText('💤', this.size / 2, -this.size / 2);
+        }
+
+        // Countdown ring while deploying
+        if (this.deploying) {
+            ctx.globalAlpha = 1;
+            ctx.strokeStyle = '#ecf0f1';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(0, 0, this.size + 4, -Math.PI / 2,
+                -Math.PI / 2 + Math.PI * 2 * this.deployTimeLeft / this.deployTime);
+            ctx.stroke();
+        }
+
+        // Attack range indicator (when targeting)
+        if (this.target) {
+            ctx.strokeStyle = this.team === 'player' ? '#3498db' : '#e74c3c';
+            ctx.lineWidth = 2;
+            ctx.setLineDash([5, 5]);
+            ctx.beginPath();
+            ctx.arc(0, 0, this.attackRange, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+
+        // Status effect tint and icons
+        this.effects.render(ctx, this.size, -this.size - 24);
+
+        // Health bar
+        this.drawHealthBar(ctx);
+
+        ctx.restore();
+    }
+
+    drawHealthBar(ctx) {
+        const barWidth = this.size * 1.5;
+        const barHeight = 6;
+        const barY = -this.size - 15;
+
+        // Background
+        ctx.fillStyle = '#2c3e50';
+        ctx.fillRect(-barWidth/2, barY, barWidth, barHeight);
+
+        // Health
+        const healthPercent = this.health / this.maxHealth;
+        ctx.fillStyle = healthPercent > 0.6 ? '#27ae60' :
+                       healthPercent > 0.3 ? '#f39c12' : '#e74c3c';
+        ctx.fillRect(-barWidth/2, barY, barWidth * healthPercent, barHeight);
+
+        // Border
+        ctx.strokeStyle = '#ecf0f1';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(-barWidth/2, barY, barWidth, barHeight);
+
+        // Health text
+        ctx.fillStyle = '#ecf0f1';
+        ctx.font = '10px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(`${Math.floor(this.health)}`, 0, barY + barHeight/2);
+    }
+}
@@ -0,0 +1,171 @@
+import { Utils } from '../utils/Utils.js';
+
+// How a projectile picks where it lands:
+//   homing      follows its target and always hits it while it lives
+//   positional  flies to where the target stood when it was fired and hits
+//               whatever is there on arrival
+export const PROJECTILE_MODES = ['homing', 'positional'];
+
+// How far from a body a positional shot still counts as a hit
+const HIT_BUFFER = 5; // px
+
+// How long a splash ring stays on screen
+const IMPACT_FLASH_TIME = 0.2; // seconds
+
+// A shot fired by a ranged troop or a tower. `spec` is the shooter's
+// projectile definition (see cards.js); damage, team, on-hit effects and
+// what it may hit are taken from the shooter when it fires.
+export class Projectile {
+    constructor(spec, source, target) {
+        this.source = source; // who fired it, for hit attribution
+        this.team = source.team;
+        this.damage = source.attackDamage;
+        this.targets = source.targets;
+        this.effects = source.onHitEffects;
+        this.alive = true;
+
+        this.speed = spec.speed;
+        this.radius = spec.radius;
+        this.mode = spec.mode || 'homing';
+        this.splashRadius = spec.splashRadius || 0;
+        this.pierce = spec.pierce || 0; // px a piercing shot travels
+
+        this.position = source.position.clone();
+        this.target = target;
+        this.destination = target.position.clone();
+
+        // Piercing shots keep going in a straight line past the target and
+        // hit everything they touch on the way, once each
+        this.direction = this.position.directionTo(this.destination);
+        this.travelled = 0;
+        this.hits = [];
+
+        // Set once a splash shot lands; it lingers to draw the blast
+        this.impacted = false;
+        this.elapsed = 0;
+
+        // Visual
+        this.color = spec.color || (this.team === 'player' ? '#3498db' : '#e74c3c');
+        this.emoji = spec.emoji || null;
+    }
+
+    update(deltaTime, game) {
+        if (!this.alive) return;
+
+        if (this.impacted) {
+            this.elapsed += deltaTime;
+            if (this.elapsed >= IMPACT_FLASH_TIME) {
+                this.alive = false;
+            }
+            return;
+        }
+
+        if (this.pierce > 0) {
+            this.fly(deltaTime, game);
+            return;
+        }
+
+        // A homing shot tracks its target until the target dies, then
+        // carries on to the last place it saw it
+        if (this.mode === 'homing' && this.target.alive) {
+            this.destination = this.target.position.clone();
+        }
+
+        const step = this.speed * deltaTime;
+        if (this.position.distanceTo(this.destination) <= step) {
+            this.position = this.destination.clone();
+            this.impact(game);
+            return;
+        }
+
+        this.position.add(this.position.directionTo(this.destination).multiply(step));
+        if (!this.inArena(game)) {
+            this.alive = false;
+        }
+    }
+
+    // Piercing flight: a fixed distance in a fixed direction
+    fly(deltaTime, game) {
+        const step = Math.min(this.speed * deltaTime, this.pierce - this.travelled);
+        this.position.add(this.direction.clone().multiply(step));
+        this.travelled += step;
+
+        this.findVictims(game, this.position, this.radius)
+            .filter(victim => !this.hits.includes(victim))
+            .forEach(victim => {
+                this.hit(victim, game);
+                this.hits.push(victim);
+            });
+
+        if (this.travelled >= this.pierce || !this.inArena(game)) {
+            this.alive = false;
+        }
+    }
+
+    impact(game) {
+        let victims;
+        if (this.splashRadius > 0) {
+            victims = this.findVictims(game, this.position, this.splashRadius);
+        } else if (this.mode === 'homing') {
+            victims = [];
+        } else {
+            victims = this.findVictims(game, this.position, this.radius + HIT_BUFFER).slice(0, 1);
+        }
+
+        if (this.mode === 'homing' && this.target.alive && !victims.includes(this.target)) {
+            victims.unshift(this.target);
+        }
+        victims.forEach(victim => this.hit(victim, game));
+
+        if (this.splashRadius > 0) {
+            this.impacted = true;
+        } else {
+            this.alive = false;
+        }
+    }
+
+    hit(victim, game) {
+        game.dealDamage(this.source, victim, this.damage);
+        this.effects.forEach(effect => victim.applyEffect(effect, game.time, this.source));
+    }
+
+    // Enemy units and towers touching the circle that this shot may hit
+    findVictims(game, position, radius) {
+        return game.findInArea(position, radius, entity =>
+            entity.team !== this.team && this.targets.includes(entity.category));
+    }
+
+    inArena(game) {
+        return Utils.pointInRect(this.position, { x: 0, y: 0, width: game.width, height: game.height });
+    }
+
+    render(ctx) {
+        if (!this.alive) return;
+
+        ctx.save();
+
+        if (this.impacted) {
+            // Splash ring that fades out
+            ctx.globalAlpha = Math.max(0, 1 - this.elapsed / IMPACT_FLASH_TIME) * 0.5;
+            ctx.fillStyle = this.color;
+            ctx.beginPath();
+            ctx.arc(this.position.x, this.position.y, this.splashRadius, 0, Math.PI * 2);
+            ctx.fill();
+        } else if (this.emoji) {
+            ctx.font = `${this.radius * 4}px Arial`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            Utils.translateUpright(ctx, this.position.x, this.position.y);
+            ctx.fillText(this.emoji, 0, 0);
+        } else {
+            ctx.fillStyle = this.color;
+            ctx.shadowColor = 'rgba(0, 0, 0, 0.3)';
+            ctx.shadowBlur = 3;
+            ctx.beginPath();
+            ctx.arc(this.position.x, this.position.y, this.radius, 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        ctx.restore();
+    }
+}
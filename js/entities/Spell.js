@@ -0,0 +1,118 @@
+import { Utils } from '../utils/Utils.js';
+
+// How long the impact flash stays on screen
+const IMPACT_FLASH_TIME = 0.3; // seconds
+
+// A cast spell. It either flies from its caster's tower to the target point
+// or lands instantly, then hits the area once or, for lingering spells like
+// Poison, in ticks over its duration. Each hit deals damage and status
+// effects to enemies (Poison's damage is all in its poison effect, renewed
+// on every tick); buff spells like Rage only put their effects on their own
+// side.
+export class Spell {
+    constructor(card, targetPosition, team, origin) {
+        this.card = card;
+        this.type = card.id;
+        this.team = team;
+        this.alive = true;
+
+        this.target = targetPosition.clone();
+        this.radius = card.stats.radius;
+        this.damage = card.stats.damage;
+        this.travelSpeed = card.spell.travelSpeed;
+        this.towerDamageScale = card.spell.towerDamageScale;
+        this.duration = card.spell.duration || 0;
+        this.tickInterval = card.spell.tickInterval || 0;
+        this.affects = card.spell.affects || 'enemies';
+        this.effects = card.effects || [];
+
+        // Instant spells appear on the target, others travel from the tower
+        const instant = this.travelSpeed === 0 || !origin;
+        this.position = instant ? this.target.clone() : origin.clone();
+        this.landed = instant;
+
+        // Time since landing and damage ticks applied so far
+        this.elapsed = 0;
+        this.ticksApplied = 0;
+
+        // Visual
+        this.emoji = card.visuals.emoji;
+        this.color = card.visuals.color;
+    }
+
+    get totalTicks() {
+        return this.duration > 0 ? Math.round(this.duration / this.tickInterval) : 1;
+    }
+
+    update(deltaTime, game) {
+        if (!this.alive) return;
+
+        if (!this.landed) {
+            this.travel(deltaTime);
+            if (!this.landed) return;
+        } else {
+            this.elapsed += deltaTime;
+        }
+
+        // Apply every damage tick that is due by now
+        while (this.ticksApplied < this.totalTicks &&
+               this.elapsed >= this.ticksApplied * this.tickInterval) {
+            if (this.affects === 'enemies' && this.damage > 0) {
+                game.damageArea(this, this.target, this.radius, this.damage, this.towerDamageScale);
+            }
+            if (this.effects.length > 0) {
+                game.applyEffectsInArea(this, this.target, this.radius, this.effects,
+                    this.affects === 'allies', this.towerDamageScale);
+            }
+            this.ticksApplied++;
+        }
+
+        if (this.ticksApplied >= this.totalTicks &&
+            this.elapsed >= Math.max(this.duration, IMPACT_FLASH_TIME)) {
+            this.alive = false;
+        }
+    }
+
+    travel(deltaTime) {
+        const step = this.travelSpeed * deltaTime;
+        if (this.position.distanceTo(this.target) <= step) {
+            this.position = this.target.clone();
+            this.landed = true;
+            return;
+        }
+
+        const movement = this.position.directionTo(this.target).multiply(step);
+        this.position.add(movement);
+    }
+
+    render(ctx) {
+        if (!this.alive) return;
+
+        ctx.save();
+
+        if (!this.landed) {
+            // Projectile heading for the target
+            ctx.font = `${this.card.visuals.size}px Arial`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            Utils.translateUpright(ctx, this.position.x, this.position.y);
+            ctx.fillText(this.emoji, 0, 0);
+        } else if (this.duration > 0) {
+            // Lingering area
+            ctx.globalAlpha = 0.35;
+            ctx.fillStyle = this.color;
+            ctx.beginPath();
+            ctx.arc(this.target.x, this.target.y, this.radius, 0, Math.PI * 2);
+            ctx.fill();
+        } else {
+            // Impact flash that fades out
+            ctx.globalAlpha = Math.max(0, 1 - this.elapsed / IMPACT_FLASH_TIME) * 0.6;
+            ctx.fillStyle = this.color;
+            ctx.beginPath();
+            ctx.arc(this.target.x, this.target.y, this.radius, 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        ctx.restore();
+    }
+}
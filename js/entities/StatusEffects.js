@@ -0,0 +1,125 @@
+// Kinds of status effect a card can apply. `strength` comes from the card:
+//   slow    speed and attack speed drop by strength (0.35 = 35% slower)
+//   rage    speed, attack speed and damage rise by strength
+//   stun    no moving or attacking; the attack starts over afterwards
+//   freeze  a long stun
+//   poison  strength damage per second
+// Stacking: 'refresh' keeps one instance per kind and re-applying keeps the
+// longer duration and the stronger strength; 'stack' keeps one instance per
+// source, refreshed the same way, up to maxStacks, replacing the one closest
+// to running out.
+export const EFFECT_TYPES = {
+    slow: { stacking: 'refresh', speed: -1, attackSpeed: -1, icon: '🐌', tint: 'rgba(116, 185, 255, 0.35)' },
+    rage: { stacking: 'refresh', speed: 1, attackSpeed: 1, damage: 1, icon: '😡', tint: 'rgba(155, 89, 182, 0.35)' },
+    stun: { stacking: 'refresh', stun: true, icon: '💫', tint: null },
+    freeze: { stacking: 'refresh', stun: true, icon: '❄️', tint: 'rgba(162, 231, 255, 0.6)' },
+    poison: { stacking: 'stack', maxStacks: 3, damagePerSecond: true, icon: '☠️', tint: 'rgba(39, 174, 96, 0.3)' }
+};
+
+// Effects whose strength is required in a card definition
+export const EFFECTS_WITH_STRENGTH = ['slow', 'rage', 'poison'];
+
+// Buffs and debuffs currently on one unit or tower. Durations run on game
+// time (ms), so effects behave the same in replays and lockstep.
+export class StatusEffects {
+    constructor() {
+        this.active = []; // { type, strength, expires, source }
+    }
+
+    // effect: { type, duration (s), strength }. source is the troop,
+    // building, tower or spell that applied it, credited with its damage.
+    apply(effect, time, source = null) {
+        const rules = EFFECT_TYPES[effect.type];
+        const instance = {
+            type: effect.type,
+            strength: effect.strength || 0,
+            expires: time + effect.duration * 1000,
+            source
+        };
+
+        const same = this.active.filter(active => active.type === effect.type);
+        const current = rules.stacking === 'refresh'
+            ? same[0]
+            : same.find(active => active.source === source);
+        if (current) {
+            current.strength = Math.max(current.strength, instance.strength);
+            current.expires = Math.max(current.expires, instance.expires);
+            return;
+        }
+
+        if (rules.stacking === 'stack' && same.length >= rules.maxStacks) {
+            const oldest = same.reduce((soonest, active) => active.expires < soonest.expires ? active : soonest);
+            this.active.splice(this.active.indexOf(oldest), 1);
+        }
+        this.active.push(instance);
+    }
+
+    // Drop expired effects and deal damage over time to the owner, on
+    // behalf of whoever applied each effect
+    update(deltaTime, game, owner) {
+        this.active = this.active.filter(active => active.expires > game.time);
+
+        this.active
+            .filter(active => EFFECT_TYPES[active.type].damagePerSecond && active.strength > 0)
+            .forEach(active => {
+                const damage = active.strength * deltaTime;
+                if (active.source) {
+                    game.dealDamage(active.source, owner, damage);
+                } else {
+                    owner.takeDamage(damage);
+                }
+            });
+    }
+
+    get stunned() {
+        return this.active.some(active => EFFECT_TYPES[active.type].stun);
+    }
+
+    get speedMultiplier() {
+        return this.multiplier('speed');
+    }
+
+    get attackSpeedMultiplier() {
+        return this.multiplier('attackSpeed');
+    }
+
+    get damageMultiplier() {
+        return this.multiplier('damage');
+    }
+
+    // Product over every active effect that changes `stat`, so a slow and
+    // a rage on the same unit partly cancel out
+    multiplier(stat) {
+        return this.active.reduce((product, active) => {
+            const sign = EFFECT_TYPES[active.type][stat];
+            return sign ? product * (1 + sign * active.strength) : product;
+        }, 1);
+    }
+
+    // Tint over the owner's body and a row of icons above its health bar,
+    // drawn in the owner's local (upright) coordinates
+    render(ctx, size, iconY) {
+        const types = [...new Set(this.active.map(active => active.type))];
+        if (types.length === 0) return;
+
+        ctx.save();
+
+        types.forEach(type => {
+            const tint = EFFECT_TYPES[type].tint;
+            if (!tint) return;
+            ctx.fillStyle = tint;
+            ctx.beginPath();
+            ctx.arc(0, 0, size, 0, Math.PI * 2);
+            ctx.fill();
+        });
+
+        ctx.font = '10px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        types.forEach((type, i) => {
+            ctx.fillText(EFFECT_TYPES[type].icon, (i - (types.length - 1) / 2) * 12, iconY);
+        });
+
+        ctx.restore();
+    }
+}
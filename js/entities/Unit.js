@@ -1,148 +1,163 @@
 import { Vector2D, Utils } from '../utils/Utils.js';
+import { cards } from '../cards/CardRegistry.js';
+import { MIN_LEVEL } from '../cards/levels.js';
+import { Projectile } from './Projectile.js';
+import { StatusEffects } from './StatusEffects.js';
+
+// How high flying units are drawn above their shadow
+const FLIGHT_HEIGHT = 16; // px
+
+// Attack animation: the body leans towards its target while winding up,
+// the hit lands near the peak of the lean and the body then eases back
+const LUNGE_DISTANCE = 5; // px
+const HIT_PHASE = 0.6; // share of the animation before the hit
+const RECOVERY_TIME = 200; // ms
 
 export class Unit {
-    constructor(position, type, team) {
+    constructor(position, type, team, level = MIN_LEVEL) {
         this.position = position.clone();
         this.type = type;
         this.team = team;
+        this.level = level;
         this.alive = true;
         
-        // Get unit stats based on type
-        const stats = this.getUnitStats(type);
+        // Get unit stats from the card registry, at the card's level
+        this.card = cards.getLeveled(type, level);
+        const stats = this.card.stats;
         this.maxHealth = stats.health;
         this.health = stats.health;
         this.damage = stats.damage;
         this.speed = stats.speed;
         this.attackRange = stats.range;
-        this.radius = stats.radius || 15;
-        this.visionRange = stats.visionRange || 100;
+        this.radius = stats.radius;
+        this.mass = stats.mass;
+        this.visionRange = stats.visionRange;
+        this.targets = this.card.targets;
+        
+        // Flying units cross the river freely and can only be hit by
+        // attackers that target air
+        this.flying = this.card.movement === 'air';
+        this.category = this.flying ? 'air' : 'ground';
         
         // Movement and combat
         this.velocity = new Vector2D();
         this.target = null;
-        this.lastAttack = 0;
-        this.attackCooldown = 1000; // 1 second between attacks
+        this.lane = 0; // bridge used to cross the river, set on deploy
+        this.lastAttack = -Infinity; // game time (ms) the last swing started
+        this.attackCooldown = stats.hitSpeed * 1000;
+        this.windUp = stats.windUp * 1000; // ms from starting a swing to the hit
+        this.swingStart = null; // game time (ms) of the swing in progress
+        this.swingTarget = null;
+        this.lastHit = -Infinity; // game time (ms) the last swing landed
+        this.damageDealt = 0; // over its lifetime, for the match stats
+        
+        // Freshly placed troops stand inert until they have deployed
+        this.deployTime = stats.deployTime; // seconds
+        this.deployTimeLeft = stats.deployTime;
+        
+        // Buffs and debuffs on this unit, and the ones its attacks apply
+        this.effects = new StatusEffects();
+        this.onHitEffects = this.card.effects || [];
         
         // Animation
         this.animationTime = 0;
         this.facing = team === 'player' ? -1 : 1; // -1 = up, 1 = down
+        this.attackAnimation = 0; // 0 = idle, HIT_PHASE = hit, 1 = recovered
+        this.attackDirection = new Vector2D();
         
         // Visual
-        this.emoji = this.getUnitEmoji(type);
-        this.size = this.getUnitSize(type);
-    }
-
-    getUnitStats(type) {
-        const stats = {
-            knight: { 
-                health: 1200, 
-                damage: 150, 
-                speed: 30, 
-                range: 40, 
-                radius: 15,
-                visionRange: 150  // Increased detection range for finding enemies
-            },
-            archer: { 
-                health: 400, 
-                damage: 100, 
-                speed: 40, 
-                range: 100, 
-                radius: 12,
-                visionRange: 180  // Increased vision for ranged units
-            },
-            giant: { 
-                health: 3000, 
-                damage: 200, 
-                speed: 20, 
-                range: 50, 
-                radius: 25,
-                visionRange: 120  // Increased vision for giants
-            },
-            wizard: { 
-                health: 600, 
-                damage: 250, 
-                speed: 35, 
-                range: 120, 
-                radius: 12,
-                visionRange: 210  // Increased vision for wizards
-            }
-        };
-        
-        return stats[type] || stats.knight;
-    }
-
-    getUnitEmoji(type) {
-        const emojis = {
-            knight: '⚔️',
-            archer: '🏹',
-            giant: '👹',
-            wizard: '🧙‍♂️'
-        };
-        return emojis[type] || '⚔️';
-    }
-
-    getUnitSize(type) {
-        const sizes = {
-            knight: 20,
-            archer: 18,
-            giant: 30,
-            wizard: 20
-        };
-        return sizes[type] || 20;
+        this.emoji = this.card.visuals.emoji;
+        this.size = this.card.visuals.size;
     }
 
     update(deltaTime, game) {
         if (!this.alive) return;
 
+        // Status effects first; damage over time may finish the unit off
+        this.effects.update(deltaTime, game, this);
+        if (!this.alive) return;
+
+        // Still deploying: no targeting, moving or attacking yet
+        if (this.deployTimeLeft > 0) {
+            this.deployTimeLeft = Math.max(0, this.deployTimeLeft - deltaTime);
+            return;
+        }
+
         // Find target
         this.findTarget(game);
         
-        // Move towards target or enemy base
-        this.move(deltaTime, game);
-        
-        // Attack if in range
-        this.attemptAttack(game);
+        if (this.effects.stunned) {
+            // Stunned units stand still and their attack starts over
+            this.velocity.set(0, 0);
+            this.cancelSwing();
+            this.lastAttack = game.time;
+        } else {
+            // Move towards target or enemy base
+            this.move(deltaTime, game);
+            
+            // Attack if in range
+            this.attemptAttack(game);
+        }
         
         // Update animation
         this.animationTime += deltaTime;
+        this.updateAttackAnimation(game.time);
+    }
+
+    // Whether this unit's targeting rules let it attack an entity
+    canTarget(entity) {
+        return this.targets.includes(entity.category);
+    }
+
+    // Off cooldown and free to act. Slows and rages stretch or shrink the
+    // cooldown.
+    canAttack(time) {
+        return !this.effects.stunned &&
+               time - this.lastAttack >= this.attackCooldown / this.effects.attackSpeedMultiplier;
+    }
+
+    get attackDamage() {
+        return this.damage * this.effects.damageMultiplier;
+    }
+
+    applyEffect(effect, time, source = null) {
+        this.effects.apply(effect, time, source);
+    }
+
+    // Attack range counts from the target's edge, so a troop can hit a
+    // tower it is standing against
+    inRange(target) {
+        return this.position.distanceTo(target.position) - target.radius <= this.attackRange;
     }
 
     findTarget(game) {
         let closestTarget = null;
         let closestDistance = Infinity;
         
-        // Look for enemy units within vision range first
-        game.units.forEach(unit => {
-            if (unit.team !== this.team && unit.alive) {
-                const distance = this.position.distanceTo(unit.position);
-                if (distance <= this.visionRange && distance < closestDistance) {
-                    closestDistance = distance;
-                    closestTarget = unit;
-                }
+        // Look for enemy units we can hit within vision range first
+        const nearby = game.unitGrid.queryRadius(this.position, this.visionRange,
+            unit => unit.team !== this.team && this.canTarget(unit));
+        nearby.forEach(unit => {
+            const distance = this.position.distanceTo(unit.position);
+            if (distance <= this.visionRange && distance < closestDistance) {
+                closestDistance = distance;
+                closestTarget = unit;
             }
         });
         
-        // If no units in vision range, check if enemy tower is within vision range
-        if (!closestTarget) {
-            const enemyTower = game.towers.find(tower => 
-                tower.team !== this.team && tower.alive
-            );
-            if (enemyTower) {
-                const distanceToTower = this.position.distanceTo(enemyTower.position);
-                if (distanceToTower <= this.visionRange) {
-                    closestTarget = enemyTower;
-                }
+        // Placed buildings in sight draw troops away from the towers
+        game.buildings.forEach(building => {
+            if (building.team === this.team || !building.alive || !this.canTarget(building)) return;
+            const distance = this.position.distanceTo(building.position);
+            if (distance <= this.visionRange && distance < closestDistance) {
+                closestDistance = distance;
+                closestTarget = building;
             }
-        }
+        });
         
-        // If still no target found, always target the enemy tower (units should always move toward enemy)
+        // If nothing is in vision range, go for the nearest enemy tower or building (units should always move toward enemy)
         if (!closestTarget) {
-            const enemyTower = game.towers.find(tower => 
-                tower.team !== this.team && tower.alive
-            );
-            if (enemyTower) {
-                closestTarget = enemyTower;
-            }
+            closestTarget = game.findNearestEnemyBuilding(this.position, this.team);
         }
         
         this.target = closestTarget;
@@ -152,9 +167,7 @@ export class Unit {
         if (!this.target) {
             // This should rarely happen now since we always set enemy tower as target
             // But as a safety measure, try to find enemy tower
-            const enemyTower = game.towers.find(tower => 
-                tower.team !== this.team && tower.alive
-            );
+            const enemyTower = game.findNearestEnemyBuilding(this.position, this.team);
             if (enemyTower) {
                 this.target = enemyTower;
             } else {
@@ -163,21 +176,26 @@ export class Unit {
             }
         }
         
-        const distanceToTarget = this.position.distanceTo(this.target.position);
-        
         // If within attack range, stop moving
-        if (distanceToTarget <= this.attackRange) {
+        if (this.inRange(this.target)) {
             this.velocity.set(0, 0);
             return;
         }
         
-        // Move towards target
-        const direction = this.position.directionTo(this.target.position);
-        this.velocity = direction.multiply(this.speed);
+        // Move towards target. Ground units route around the river via
+        // our lane's bridge; flying units go straight.
+        const waypoint = this.flying
+            ? this.target.position
+            : game.navigation.nextWaypoint(this.position, this.target.position, this.lane);
+        const direction = this.position.directionTo(waypoint);
+        this.velocity = direction.multiply(this.speed * this.effects.speedMultiplier);
         
-        // Update position
+        // Update position, never walking from dry land into the water
         const movement = this.velocity.clone().multiply(deltaTime);
-        this.position.add(movement);
+        const nextPosition = this.position.clone().add(movement);
+        if (this.flying || game.navigation.isPassable(nextPosition) || !game.navigation.isPassable(this.position)) {
+            this.position = nextPosition;
+        }
         
         // Update facing direction
         if (direction.y < 0) {
@@ -187,92 +205,71 @@ export class Unit {
         }
         
         // Keep unit within bounds
-        this.position.x = Utils.clamp(this.position.x, this.radius, game.canvas.width - this.radius);
-        this.position.y = Utils.clamp(this.position.y, this.radius, game.canvas.height - this.radius);
+        this.position.x = Utils.clamp(this.position.x, this.radius, game.width - this.radius);
+        this.position.y = Utils.clamp(this.position.y, this.radius, game.height - this.radius);
     }
 
+    // Attacks come in two steps. A swing starts once the target is in range
+    // and the cooldown allows it; the hit lands windUp later if the swing is
+    // still on. The cooldown runs from one swing's start to the next.
     attemptAttack(game) {
-        if (!this.target || !this.target.alive) return;
-        
-        const currentTime = Date.now();
-        if (currentTime - this.lastAttack < this.attackCooldown) return;
+        const target = this.target;
+        const ready = target && target.alive && this.canTarget(target) && this.inRange(target);
+        
+        if (this.swingTarget) {
+            // Switching targets or losing the target calls the swing off
+            if (this.swingTarget !== target || !ready) {
+                this.cancelSwing();
+            } else if (game.time - this.swingStart >= this.windUp / this.effects.attackSpeedMultiplier) {
+                this.attack(target, game);
+                this.cancelSwing();
+                this.lastHit = game.time;
+            }
+            return;
+        }
         
-        const distanceToTarget = this.position.distanceTo(this.target.position);
-        if (distanceToTarget <= this.attackRange) {
-            this.attack(this.target, game);
-            this.lastAttack = currentTime;
+        if (ready && this.canAttack(game.time)) {
+            this.swingStart = game.time;
+            this.swingTarget = target;
+            this.lastAttack = game.time;
+            this.attackDirection = this.position.directionTo(target.position);
         }
     }
 
-    tryAttack(target) {
-        const currentTime = Date.now();
-        if (currentTime - this.lastAttack < this.attackCooldown) return false;
-        
-        this.attack(target);
-        this.lastAttack = currentTime;
-        return true;
+    cancelSwing() {
+        this.swingStart = null;
+        this.swingTarget = null;
     }
 
-    tryAttackWithGame(target, game) {
-        const currentTime = Date.now();
-        if (currentTime - this.lastAttack < this.attackCooldown) return false;
-        
-        this.attack(target, game);
-        this.lastAttack = currentTime;
-        return true;
+    get deploying() {
+        return this.deployTimeLeft > 0;
+    }
+
+    updateAttackAnimation(time) {
+        if (this.swingTarget) {
+            const windUp = this.windUp / this.effects.attackSpeedMultiplier;
+            const progress = windUp > 0 ? Math.min(1, (time - this.swingStart) / windUp) : 1;
+            this.attackAnimation = progress * HIT_PHASE;
+        } else if (time - this.lastHit < RECOVERY_TIME) {
+            this.attackAnimation = HIT_PHASE + (1 - HIT_PHASE) * (time - this.lastHit) / RECOVERY_TIME;
+        } else {
+            this.attackAnimation = 0;
+        }
     }
 
-    attack(target, game = null) {
-        if (this.type === 'archer' || this.type === 'wizard') {
+    attack(target, game) {
+        if (this.card.projectile) {
             // Ranged attack - create projectile
-            if (game) {
-                this.createProjectile(target, game);
-            }
+            this.createProjectile(target, game);
         } else {
             // Melee attack - direct damage
-            target.takeDamage(this.damage);
+            game.dealDamage(this, target, this.attackDamage);
+            this.onHitEffects.forEach(effect => target.applyEffect(effect, game.time, this));
         }
     }
 
     createProjectile(target, game) {
-        const projectile = {
-            position: this.position.clone(),
-            target: target.position.clone(),
-            speed: 200,
-            damage: this.damage,
-            team: this.team,
-            alive: true,
-            type: this.type,
-            
-            update: function(deltaTime) {
-                const direction = this.position.directionTo(this.target);
-                const movement = direction.multiply(this.speed * deltaTime);
-                this.position.add(movement);
-                
-                // Check if reached target area
-                const distance = this.position.distanceTo(this.target);
-                if (distance < 10) {
-                    this.alive = false;
-                }
-                
-                // Remove if off-screen
-                if (this.position.x < 0 || this.position.x > 800 || 
-                    this.position.y < 0 || this.position.y > 600) {
-                    this.alive = false;
-                }
-            },
-            
-            render: function(ctx) {
-                ctx.save();
-                ctx.fillStyle = this.team === 'player' ? '#3498db' : '#e74c3c';
-                ctx.beginPath();
-                ctx.arc(this.position.x, this.position.y, 3, 0, Math.PI * 2);
-                ctx.fill();
-                ctx.restore();
-            }
-        };
-        
-        game.projectiles.push(projectile);
+        game.projectiles.push(new Projectile(this.card.projectile, this, target));
     }
 
     takeDamage(amount) {
@@ -288,14 +285,28 @@ export class Unit {
         
         ctx.save();
         
-        // Draw unit shadow
-        ctx.fillStyle = 'rgba(0, 0, 0, 0.2)';
+        // Stay upright even in a flipped view. Attacking units lean
+        // towards their target.
+        const lunge = Math.sin(this.attackAnimation * Math.PI) * LUNGE_DISTANCE;
+        Utils.translateUpright(ctx,
+            this.position.x + this.attackDirection.x * lunge,
+            this.position.y + this.attackDirection.y * lunge);
+        
+        // Deploying units are see-through until they can act
+        if (this.deploying) {
+            ctx.globalAlpha = 0.5;
+        }
+        
+        // Draw unit shadow. Flying units cast a fainter one on the ground
+        // and are drawn lifted above it.
+        ctx.fillStyle = this.flying ? 'rgba(0, 0, 0, 0.15)' : 'rgba(0, 0, 0, 0.2)';
         ctx.beginPath();
-        ctx.ellipse(this.position.x, this.position.y + this.size/2, this.size/2, this.size/4, 0, 0, Math.PI * 2);
+        ctx.ellipse(0, this.size/2, this.size/2, this.size/4, 0, 0, Math.PI * 2);
         ctx.fill();
         
-        // Draw unit body
-        ctx.translate(this.position.x, this.position.y);
+        if (this.flying) {
+            ctx.translate(0, -FLIGHT_HEIGHT);
+        }
         
         // Add walking animation
         const walkOffset = Math.sin(this.animationTime * 8) * 2;
@@ -326,6 +337,20 @@ export class Unit {
             ctx.globalAlpha = 1;
         }
         
+        // Countdown ring while deploying
+        if (this.deploying) {
+            ctx.globalAlpha = 1;
+            ctx.strokeStyle = '#ecf0f1';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(0, 0, this.size + 4, -Math.PI / 2,
+                -Math.PI / 2 + Math.PI * 2 * this.deployTimeLeft / this.deployTime);
+            ctx.stroke();
+        }
+        
+        // Status effect tint and icons
+        this.effects.render(ctx, this.size, -this.size - 18);
+        
         // Health bar
         this.drawHealthBar(ctx);
         
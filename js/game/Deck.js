@@ -0,0 +1,52 @@
+import { cards } from '../cards/CardRegistry.js';
+
+export const DECK_SIZE = 8;
+export const HAND_SIZE = 4;
+
+// Clash-style card cycle: a shuffled deck of 8 is split into a 4-card hand
+// and a queue. Playing a card refills its slot from the front of the queue
+// and sends the played card to the back.
+export class Deck {
+    constructor(cardIds, rng) {
+        Deck.validate(cardIds);
+
+        this.cards = cardIds.slice();
+        const order = rng.shuffle(cardIds.slice());
+        this.hand = order.slice(0, HAND_SIZE);
+        this.queue = order.slice(HAND_SIZE);
+    }
+
+    // Throws if cardIds is not a list of 8 distinct registered, playable
+    // cards
+    static validate(cardIds) {
+        if (!Array.isArray(cardIds) || cardIds.length !== DECK_SIZE) {
+            throw new Error(`A deck must have exactly ${DECK_SIZE} cards`);
+        }
+        if (new Set(cardIds).size !== cardIds.length) {
+            throw new Error('A deck cannot contain the same card twice');
+        }
+        cardIds.forEach(cardId => {
+            if (cards.get(cardId).spawnOnly) {
+                throw new Error(`Card "${cardId}" only comes out of spawners and cannot be in a deck`);
+            }
+        });
+    }
+
+    // Card that will enter the hand next
+    get next() {
+        return this.queue[0];
+    }
+
+    has(cardId) {
+        return this.hand.includes(cardId);
+    }
+
+    play(cardId) {
+        const slot = this.hand.indexOf(cardId);
+        if (slot === -1) return false;
+
+        this.hand[slot] = this.queue.shift();
+        this.queue.push(cardId);
+        return true;
+    }
+}
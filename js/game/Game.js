@@ -1,61 +1,177 @@
-import { Vector2D, Utils } from '../utils/Utils.js';
-import { Unit } from '../entities/Unit.js';
-import { Tower } from '../entities/Tower.js';
+import { Vector2D, SeededRandom } from '../utils/Utils.js';
+import { Simulation, TICK_DURATION } from './Simulation.js';
+import { Replay, ReplayPlayer } from './Replay.js';
+import { createAIController, DEFAULT_DIFFICULTY } from '../ai/difficulties.js';
+import { cards } from '../cards/CardRegistry.js';
+import { DEFAULT_DECK } from '../cards/cards.js';
+import { ARENAS } from './Ladder.js';
+
+// Longest real-time gap fed into the fixed-step loop in one frame. A slow or
+// backgrounded tab pauses the match instead of fast-forwarding through it.
+const MAX_FRAME_TIME = 0.25; // seconds
+
+// An online client this many ticks behind the server catches up by running
+// up to CATCH_UP_TICKS per update instead of one
+const CATCH_UP_THRESHOLD = 10;
+const CATCH_UP_TICKS = 300;
+
+// Speeds the fast-forward button steps through, for watching bots play
+const GAME_SPEEDS = [1, 2, 4];
+
+// How the match was decided, for the result banner and results screen
+export const RESULT_REASONS = {
+    king: 'King tower destroyed',
+    crowns: 'Won on crowns',
+    sudden_death: 'Sudden death',
+    tiebreak: 'Tiebreak on tower health',
+    forfeit: 'Opponent left the match'
+};
 
 export class Game {
-    constructor() {
+    constructor(options = {}) {
         this.canvas = document.getElementById('game-canvas');
         this.ctx = this.canvas.getContext('2d');
         
         // Game state
         this.running = false;
         this.lastTime = 0;
+        this.accumulator = 0;
+        this.paused = false;
+        this.speed = 1; // game seconds per real second
+        this.frameRequest = null; // pending animation frame of the loop
+        
+        // Every page listener this game adds, so destroy() can remove them
+        this.listeners = []; // { target, type, handler, options }
+        
+        // Replay being watched, if any. A replay game takes no input and
+        // runs no AI; it only re-applies the recorded commands.
+        this.replay = options.replay || null;
+        this.replayPlayer = null;
+        
+        // Online match being played, if any (see OnlineMatch)
+        this.online = options.online || null;
+        
+        // 'bot' against the AI, 'hotseat' for two people on one device with
+        // the second player taking the top half, or 'online'
+        this.mode = this.online ? 'online' : options.mode || 'bot';
+        
+        // Side this screen plays. It is always drawn at the bottom, so the
+        // arena is turned around for the top ('enemy') side.
+        this.team = this.online ? this.online.team : 'player';
+        this.flipped = this.team === 'enemy';
+        
+        // One seat per human player, each with its own card drag in
+        // progress so two players can drag at the same time
+        this.seats = { [this.team]: this.createSeat() };
+        if (this.mode === 'hotseat') {
+            this.seats.enemy = this.createSeat();
+        }
         
-        // Game objects
-        this.units = [];
-        this.towers = [];
-        this.projectiles = [];
-        
-        // Player resources
-        this.playerElixir = 10;
-        this.maxElixir = 10;
-        this.elixirRegenRate = 1; // per second
-        this.lastElixirRegen = 0;
-        
-        // Selected card
-        this.selectedCard = null;
-        this.draggingCard = false;
-        
-        // Mouse/touch input
-        this.mousePos = new Vector2D();
-        this.isMouseDown = false;
-        
-        // Game areas
-        this.playerZone = {
-            x: 0,
-            y: this.canvas.height / 2,
-            width: this.canvas.width,
-            height: this.canvas.height / 2
-        };
+        // Called with a team after its hand changes so the UI can rebuild it
+        this.onHandChanged = null;
         
-        this.enemyZone = {
-            x: 0,
-            y: 0,
-            width: this.canvas.width,
-            height: this.canvas.height / 2
-        };
+        // Called with the simulation's result once the match is decided
+        this.onGameOver = null;
+        
+        // Battlefield colours of the arena being played in (see Ladder.js)
+        this.theme = options.theme || ARENAS[0].theme;
         
         this.setupCanvas();
+        
+        // Battle logic lives in the headless simulation; this class only
+        // renders it and turns input into commands
+        if (this.replay) {
+            this.replayPlayer = new ReplayPlayer(this.replay);
+            this.simulation = this.replayPlayer.simulation;
+        } else if (this.online) {
+            this.simulation = this.online.simulation;
+        } else {
+            // The player brings their profile's deck; the other side plays
+            // the default deck at the same average level
+            const profile = options.profile || null;
+            const opponentLevels = {};
+            if (profile) {
+                DEFAULT_DECK.forEach(cardId => {
+                    opponentLevels[cardId] = profile.deckLevel;
+                });
+            }
+            
+            this.simulation = new Simulation({
+                width: this.canvas.width,
+                height: this.canvas.height,
+                seed: options.seed,
+                decks: { player: profile ? profile.deck : DEFAULT_DECK, enemy: DEFAULT_DECK },
+                levels: { player: profile ? profile.deckLevels : {}, enemy: opponentLevels }
+            });
+        }
+        
+        // The AI gets its own RNG stream derived from the match seed so it
+        // never shifts the simulation's random sequence
+        this.difficulty = options.difficulty || DEFAULT_DIFFICULTY;
+        this.aiRng = new SeededRandom(this.simulation.seed ^ 0x9E3779B9);
+        this.enemyAI = this.replay || this.online || this.seats.enemy
+            ? null
+            : createAIController(this.difficulty, 'enemy', this.aiRng);
+        
+        // Hooked into the page last, so a game that fails to set up leaves
+        // no listeners behind
         this.setupEventListeners();
-        this.initializeTowers();
+    }
+
+    createSeat() {
+        return {
+            selectedCard: null,
+            dragging: false,
+            pointer: new Vector2D(), // canvas coordinates
+            touchId: null // touch driving the drag, null for the mouse
+        };
+    }
+
+    // Read-only views onto simulation state used by the UI
+    get units() {
+        return this.simulation.units;
+    }
+
+    get towers() {
+        return this.simulation.towers;
+    }
+
+    get projectiles() {
+        return this.simulation.projectiles;
+    }
+
+    get playerElixir() {
+        return this.simulation.elixir.player;
+    }
+
+    get playerZone() {
+        return this.simulation.playerZone;
+    }
+
+    get teams() {
+        return Object.keys(this.seats);
+    }
+
+    // Card data at the level team plays it at
+    getUnitData(cardType, team = this.team) {
+        return this.simulation.getUnitData(cardType, team);
     }
 
     setupCanvas() {
-        // Set canvas size
-        const container = this.canvas.parentElement;
-        const rect = container.getBoundingClientRect();
-        this.canvas.width = rect.width;
-        this.canvas.height = 500;
+        // Set canvas size. Replays and online matches keep the arena size
+        // they were recorded or agreed with and let CSS scale the canvas.
+        if (this.replay) {
+            this.canvas.width = this.replay.arena.width;
+            this.canvas.height = this.replay.arena.height;
+        } else if (this.online) {
+            this.canvas.width = this.online.simulation.width;
+            this.canvas.height = this.online.simulation.height;
+        } else {
+            const container = this.canvas.parentElement;
+            const rect = container.getBoundingClientRect();
+            this.canvas.width = rect.width;
+            this.canvas.height = 500;
+        }
         
         // Set context properties
         this.ctx.imageSmoothingEnabled = true;
@@ -65,375 +181,588 @@ export class Game {
 
     setupEventListeners() {
         // Mouse events
-        this.canvas.addEventListener('mousedown', (e) => this.handleMouseDown(e));
-        this.canvas.addEventListener('mousemove', (e) => this.handleMouseMove(e));
-        this.canvas.addEventListener('mouseup', (e) => this.handleMouseUp(e));
-        
-        // Touch events
-        this.canvas.addEventListener('touchstart', (e) => this.handleTouchStart(e));
-        this.canvas.addEventListener('touchmove', (e) => this.handleTouchMove(e));
-        this.canvas.addEventListener('touchend', (e) => this.handleTouchEnd(e));
+        this.listen(this.canvas, 'mousedown', (e) => this.handleMouseDown(e));
+        this.listen(this.canvas, 'mousemove', (e) => this.handleMouseMove(e));
+        this.listen(this.canvas, 'mouseup', (e) => this.handleMouseUp(e));
+        
+        // Touch events. Card drags start on the hand outside the canvas, so
+        // the touches are followed on the whole document.
+        this.listen(document, 'touchmove', (e) => this.handleTouchMove(e), { passive: false });
+        this.listen(document, 'touchend', (e) => this.handleTouchEnd(e));
+        this.listen(document, 'touchcancel', (e) => this.handleTouchCancel(e));
+        
+        // Esc pauses and resumes
+        this.listen(document, 'keydown', (e) => {
+            if (e.key === 'Escape') this.togglePause();
+        });
         
         // Prevent context menu
-        this.canvas.addEventListener('contextmenu', (e) => e.preventDefault());
+        this.listen(this.canvas, 'contextmenu', (e) => e.preventDefault());
     }
 
-    initializeTowers() {
-        // Player tower
-        this.towers.push(new Tower(
-            new Vector2D(this.canvas.width / 2, this.canvas.height - 50),
-            'player'
-        ));
-        
-        // Enemy tower
-        this.towers.push(new Tower(
-            new Vector2D(this.canvas.width / 2, 50),
-            'enemy'
-        ));
+    listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this.listeners.push({ target, type, handler, options });
     }
 
     start() {
         this.running = true;
         this.lastTime = performance.now();
+        this.accumulator = 0;
         this.gameLoop();
-        
-        // Start AI
-        this.startEnemyAI();
     }
 
     stop() {
         this.running = false;
+        if (this.frameRequest) {
+            cancelAnimationFrame(this.frameRequest);
+            this.frameRequest = null;
+        }
+    }
+
+    // Stop for good and remove everything this game hooked into the page,
+    // so the next match starts clean. The game can't be restarted after.
+    destroy() {
+        this.stop();
+        this.listeners.forEach(({ target, type, handler, options }) => {
+            target.removeEventListener(type, handler, options);
+        });
+        this.listeners = [];
+        this.onHandChanged = null;
+        this.onGameOver = null;
+    }
+
+    setPaused(paused) {
+        this.paused = paused;
+    }
+
+    setSpeed(speed) {
+        this.speed = speed;
+    }
+
+    // Pause and fast-forward are for matches this screen runs on its own.
+    // Online the server keeps the pace, and replays have their own controls.
+    get canControlPace() {
+        return !this.online && !this.replay && !this.simulation.over;
+    }
+
+    togglePause() {
+        if (!this.canControlPace) return;
+        
+        this.setPaused(!this.paused);
+    }
+
+    // Step through 1x, 2x and 4x
+    cycleSpeed() {
+        if (!this.canControlPace) return;
+        
+        const next = (GAME_SPEEDS.indexOf(this.speed) + 1) % GAME_SPEEDS.length;
+        this.setSpeed(GAME_SPEEDS[next]);
     }
 
     gameLoop() {
         if (!this.running) return;
         
         const currentTime = performance.now();
-        const deltaTime = (currentTime - this.lastTime) / 1000; // Convert to seconds
+        const frameTime = (currentTime - this.lastTime) / 1000; // Convert to seconds
         this.lastTime = currentTime;
         
-        this.update(deltaTime);
+        // Run as many fixed ticks as real time allows
+        if (!this.paused) {
+            this.accumulator += Math.min(frameTime, MAX_FRAME_TIME) * this.speed;
+        }
+        while (this.running && this.accumulator >= TICK_DURATION) {
+            this.update();
+            this.accumulator -= TICK_DURATION;
+        }
+        
         this.render();
         
-        requestAnimationFrame(() => this.gameLoop());
+        this.frameRequest = requestAnimationFrame(() => this.gameLoop());
     }
 
-    update(deltaTime) {
-        // Update elixir
-        this.updateElixir(deltaTime);
-        
-        // Update units
-        this.updateUnits(deltaTime);
-        
-        // Update projectiles
-        this.updateProjectiles(deltaTime);
-        
-        // Update towers
-        this.updateTowers(deltaTime);
+    // Advance the match by one fixed tick
+    update() {
+        if (this.replayPlayer) {
+            this.updateReplay();
+            return;
+        }
         
-        // Check collisions
-        this.checkCollisions();
+        if (this.online) {
+            this.updateOnline();
+            return;
+        }
         
-        // Remove dead entities
-        this.cleanupEntities();
+        if (this.enemyAI) {
+            this.enemyAI.update(this.simulation);
+        }
+        this.simulation.step();
         
-        // Check win conditions
-        this.checkWinConditions();
-    }
-
-    updateElixir(deltaTime) {
-        this.lastElixirRegen += deltaTime;
-        if (this.lastElixirRegen >= 3.0) { // Regenerate every 3 seconds
-            this.playerElixir = Math.min(this.playerElixir + this.elixirRegenRate, this.maxElixir);
-            this.lastElixirRegen = 0;
-            this.updateElixirDisplay();
+        if (this.simulation.over) {
+            this.endGame(this.simulation.result);
         }
     }
 
-    updateUnits(deltaTime) {
-        this.units.forEach(unit => {
-            unit.update(deltaTime, this);
-        });
-    }
-
-    updateProjectiles(deltaTime) {
-        this.projectiles.forEach(projectile => {
-            projectile.update(deltaTime);
-        });
-    }
-
-    updateTowers(deltaTime) {
-        this.towers.forEach(tower => {
-            tower.update(deltaTime, this);
-        });
-    }
-
-    checkCollisions() {
-        // Unit vs Unit combat - check for proper combat engagement
-        for (let i = 0; i < this.units.length; i++) {
-            const unit1 = this.units[i];
-            if (!unit1.alive) continue;
+    // Step only through ticks the server has closed. Waiting for the
+    // server drops the accumulated time instead of banking it.
+    updateOnline() {
+        const ticks = this.online.backlog > CATCH_UP_THRESHOLD ? CATCH_UP_TICKS : 1;
+        
+        for (let i = 0; i < ticks; i++) {
+            if (!this.online.canStep()) {
+                this.accumulator = 0;
+                break;
+            }
             
-            for (let j = i + 1; j < this.units.length; j++) {
-                const unit2 = this.units[j];
-                if (!unit2.alive || unit1.team === unit2.team) continue;
-                
-                const distance = unit1.position.distanceTo(unit2.position);
-                
-                // Check if units can attack each other
-                if (distance < unit1.attackRange && unit1.target === unit2) {
-                    unit1.tryAttackWithGame(unit2, this);
-                }
-                if (distance < unit2.attackRange && unit2.target === unit1) {
-                    unit2.tryAttackWithGame(unit1, this);
-                }
+            const applied = this.online.step();
+            if (applied.some(command => command.team === this.team) && this.onHandChanged) {
+                this.onHandChanged(this.team);
             }
         }
         
-        // Projectile vs Unit collisions
-        this.projectiles.forEach(projectile => {
-            if (!projectile.alive) return;
-            
-            this.units.forEach(unit => {
-                if (unit.team !== projectile.team && unit.alive) {
-                    const distance = projectile.position.distanceTo(unit.position);
-                    if (distance < unit.radius + 5) { // Small buffer for projectile hit detection
-                        unit.takeDamage(projectile.damage);
-                        projectile.alive = false;
-                    }
-                }
-            });
-            
-            // Projectile vs Tower collisions
-            this.towers.forEach(tower => {
-                if (tower.team !== projectile.team && tower.alive) {
-                    const distance = projectile.position.distanceTo(tower.position);
-                    if (distance < tower.radius) {
-                        tower.takeDamage(projectile.damage);
-                        projectile.alive = false;
-                    }
-                }
-            });
-        });
+        if (this.simulation.over) {
+            this.endGame(this.simulation.result);
+        }
     }
 
-    cleanupEntities() {
-        this.units = this.units.filter(unit => unit.alive);
-        this.projectiles = this.projectiles.filter(projectile => projectile.alive);
+    updateReplay() {
+        this.replayPlayer.step();
+        
+        // Hold on the final frame instead of ending the game
+        if (this.replayPlayer.finished) {
+            this.paused = true;
+            this.accumulator = 0;
+        }
     }
 
-    checkWinConditions() {
-        const playerTower = this.towers.find(t => t.team === 'player');
-        const enemyTower = this.towers.find(t => t.team === 'enemy');
+    // Jump to a tick of the replay being watched
+    seek(tick) {
+        if (!this.replayPlayer) return;
         
-        if (!playerTower.alive) {
-            this.endGame('defeat');
-        } else if (!enemyTower.alive) {
-            this.endGame('victory');
-        }
+        this.replayPlayer.seek(tick);
+        this.simulation = this.replayPlayer.simulation;
+        this.accumulator = 0;
     }
 
     render() {
         // Clear canvas
-        this.ctx.fillStyle = 'rgba(135, 206, 235, 1)'; // Sky blue
+        this.ctx.fillStyle = this.theme.sky;
         this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
         
+        // Turn the arena around when this screen plays the top side
+        this.ctx.save();
+        if (this.flipped) {
+            this.ctx.translate(this.canvas.width, this.canvas.height);
+            this.ctx.rotate(Math.PI);
+        }
+        
         // Draw battlefield
         this.drawBattlefield();
         
-        // Draw towers
+        // Draw towers and placed buildings
         this.towers.forEach(tower => tower.render(this.ctx));
+        this.simulation.buildings.forEach(building => building.render(this.ctx));
         
-        // Draw units
-        this.units.forEach(unit => unit.render(this.ctx));
+        // Draw ground units, projectiles, then flying units above them
+        this.units.forEach(unit => {
+            if (!unit.flying) unit.render(this.ctx);
+        });
         
-        // Draw projectiles
         this.projectiles.forEach(projectile => projectile.render(this.ctx));
         
-        // Draw placement preview
-        if (this.selectedCard && this.draggingCard) {
-            this.drawPlacementPreview();
+        this.units.forEach(unit => {
+            if (unit.flying) unit.render(this.ctx);
+        });
+        
+        // Draw spells
+        this.simulation.spells.forEach(spell => spell.render(this.ctx));
+        
+        // Draw placement previews
+        this.teams.forEach(team => {
+            if (this.seats[team].dragging) {
+                this.drawPlacementPreview(team);
+            }
+        });
+        
+        this.ctx.restore();
+        
+        // Connection problems in an online match
+        if (this.online && !this.simulation.over) {
+            if (!this.online.connected) {
+                this.drawNotice('Reconnecting...');
+            } else if (!this.online.opponentConnected) {
+                this.drawNotice('Opponent disconnected, waiting for them to return...');
+            }
+        }
+        
+        if (this.paused && this.canControlPace) {
+            this.drawNotice('Paused · press Esc to resume');
         }
+        
+        // Draw the result once the match is decided
+        if (this.simulation.result) {
+            this.drawResultBanner(this.simulation.result);
+        }
+        
+        this.updateHud();
     }
 
     drawBattlefield() {
-        // Draw river/divider in the middle
-        this.ctx.fillStyle = '#4682B4';
-        this.ctx.fillRect(0, this.canvas.height / 2 - 10, this.canvas.width, 20);
+        const { river, bridges } = this.simulation.navigation;
+        const riverBottom = river.y + river.height;
+        const theme = this.theme;
+        
+        // Draw river in the middle
+        this.ctx.fillStyle = theme.river;
+        this.ctx.fillRect(river.x, river.y, river.width, river.height);
         
         // Draw grass on player side
-        this.ctx.fillStyle = '#90EE90';
-        this.ctx.fillRect(0, this.canvas.height / 2 + 10, this.canvas.width, this.canvas.height / 2 - 10);
+        this.ctx.fillStyle = theme.playerGround;
+        this.ctx.fillRect(0, riverBottom, this.canvas.width, this.canvas.height - riverBottom);
         
         // Draw enemy grass
-        this.ctx.fillStyle = '#98FB98';
-        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height / 2 - 10);
+        this.ctx.fillStyle = theme.enemyGround;
+        this.ctx.fillRect(0, 0, this.canvas.width, river.y);
+        
+        // Draw bridges, the only way across for ground units
+        bridges.forEach(bridge => {
+            this.ctx.fillStyle = theme.bridge;
+            this.ctx.fillRect(bridge.x, bridge.y - 4, bridge.width, bridge.height + 8);
+            
+            this.ctx.strokeStyle = theme.bridgeEdge;
+            this.ctx.lineWidth = 2;
+            for (let x = bridge.x + 10; x < bridge.x + bridge.width; x += 10) {
+                this.ctx.beginPath();
+                this.ctx.moveTo(x, bridge.y - 4);
+                this.ctx.lineTo(x, bridge.y + bridge.height + 4);
+                this.ctx.stroke();
+            }
+        });
         
-        // Draw placement zone highlight if dragging
-        if (this.selectedCard && this.draggingCard) {
+        // Draw placement zone highlight for each seat dragging a troop or
+        // building; spells can go anywhere
+        this.teams.forEach(team => {
+            const seat = this.seats[team];
+            if (!seat.dragging || cards.get(seat.selectedCard).type === 'spell') return;
+            
+            const zone = this.simulation.getZone(team);
             this.ctx.fillStyle = 'rgba(243, 156, 18, 0.3)';
-            this.ctx.fillRect(
-                this.playerZone.x,
-                this.playerZone.y,
-                this.playerZone.width,
-                this.playerZone.height
-            );
-        }
+            this.ctx.fillRect(zone.x, zone.y, zone.width, zone.height);
+        });
     }
 
-    drawPlacementPreview() {
-        if (Utils.pointInRect(this.mousePos, this.playerZone)) {
+    drawPlacementPreview(team) {
+        const seat = this.seats[team];
+        const card = cards.get(seat.selectedCard);
+        const pointer = seat.pointer;
+        
+        // Spells preview their area of effect
+        if (card.type === 'spell') {
+            this.ctx.save();
+            this.ctx.globalAlpha = 0.4;
+            this.ctx.fillStyle = card.visuals.color;
+            this.ctx.strokeStyle = card.visuals.color;
+            this.ctx.lineWidth = 2;
+            this.ctx.beginPath();
+            this.ctx.arc(pointer.x, pointer.y, card.stats.radius, 0, Math.PI * 2);
+            this.ctx.fill();
+            this.ctx.globalAlpha = 1;
+            this.ctx.stroke();
+            this.ctx.restore();
+            return;
+        }
+        
+        if (this.canPlace(team, seat.selectedCard, pointer)) {
             this.ctx.fillStyle = 'rgba(46, 204, 113, 0.6)';
         } else {
             this.ctx.fillStyle = 'rgba(231, 76, 60, 0.6)';
         }
         
+        // Buildings preview their footprint and reach
+        const isBuilding = card.type === 'building';
         this.ctx.beginPath();
-        this.ctx.arc(this.mousePos.x, this.mousePos.y, 30, 0, Math.PI * 2);
+        this.ctx.arc(pointer.x, pointer.y, isBuilding ? card.stats.radius : 30, 0, Math.PI * 2);
         this.ctx.fill();
+        
+        if (isBuilding && card.stats.range > 0) {
+            this.ctx.save();
+            this.ctx.strokeStyle = 'rgba(236, 240, 241, 0.6)';
+            this.ctx.lineWidth = 2;
+            this.ctx.setLineDash([5, 5]);
+            this.ctx.beginPath();
+            this.ctx.arc(pointer.x, pointer.y, card.stats.range, 0, Math.PI * 2);
+            this.ctx.stroke();
+            this.ctx.restore();
+        }
+    }
+
+    drawNotice(text) {
+        this.ctx.save();
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        this.ctx.fillRect(0, 0, this.canvas.width, 32);
+        this.ctx.fillStyle = '#ecf0f1';
+        this.ctx.font = '16px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillText(text, this.canvas.width / 2, 16);
+        this.ctx.restore();
     }
 
-    // Input handling
+    drawResultBanner(result) {
+        const opponent = this.team === 'player' ? 'enemy' : 'player';
+        const titles = this.mode === 'hotseat'
+            ? { player: 'Blue Wins!', enemy: 'Red Wins!' }
+            : { [this.team]: 'Victory!', [opponent]: 'Defeat!' };
+        const title = titles[result.winner] || 'Draw';
+        const centerX = this.canvas.width / 2;
+        const centerY = this.canvas.height / 2;
+        
+        this.ctx.save();
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        this.ctx.fillRect(0, centerY - 60, this.canvas.width, 120);
+        
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillStyle = result.winner === opponent && this.mode !== 'hotseat' ? '#e74c3c' : '#f1c40f';
+        this.ctx.font = 'bold 48px Arial';
+        this.ctx.fillText(title, centerX, centerY - 15);
+        
+        this.ctx.fillStyle = '#ecf0f1';
+        this.ctx.font = '18px Arial';
+        this.ctx.fillText(
+            `👑 ${result.crowns[this.team]} - ${result.crowns[opponent]} · ${RESULT_REASONS[result.reason]}`,
+            centerX,
+            centerY + 30
+        );
+        this.ctx.restore();
+    }
+
+    // Input handling. The mouse drives whichever seat started a drag with
+    // it; each touch drives the seat whose card it picked up.
     handleMouseDown(e) {
-        this.updateMousePosition(e);
-        this.isMouseDown = true;
+        this.updatePointer(this.getMouseSeat(), e);
     }
 
     handleMouseMove(e) {
-        this.updateMousePosition(e);
+        this.updatePointer(this.getMouseSeat(), e);
     }
 
     handleMouseUp(e) {
-        this.updateMousePosition(e);
-        this.isMouseDown = false;
+        const team = this.getMouseTeam();
+        if (!team) return;
         
-        if (this.selectedCard && this.draggingCard) {
-            this.tryPlaceUnit();
-        }
-    }
-
-    handleTouchStart(e) {
-        e.preventDefault();
-        if (e.touches.length > 0) {
-            this.updateTouchPosition(e.touches[0]);
-            this.isMouseDown = true;
-        }
+        this.updatePointer(this.seats[team], e);
+        this.tryPlaceUnit(team);
     }
 
     handleTouchMove(e) {
-        e.preventDefault();
-        if (e.touches.length > 0) {
-            this.updateTouchPosition(e.touches[0]);
-        }
+        Array.from(e.changedTouches).forEach(touch => {
+            const team = this.getTouchTeam(touch);
+            if (!team) return;
+            
+            e.preventDefault();
+            this.updatePointer(this.seats[team], touch);
+        });
     }
 
     handleTouchEnd(e) {
-        e.preventDefault();
-        this.isMouseDown = false;
-        
-        if (this.selectedCard && this.draggingCard) {
-            this.tryPlaceUnit();
-        }
+        Array.from(e.changedTouches).forEach(touch => {
+            const team = this.getTouchTeam(touch);
+            if (!team) return;
+            
+            this.updatePointer(this.seats[team], touch);
+            this.tryPlaceUnit(team);
+        });
+    }
+
+    handleTouchCancel(e) {
+        Array.from(e.changedTouches).forEach(touch => {
+            const team = this.getTouchTeam(touch);
+            if (team) {
+                this.cancelCardPlacement(team);
+            }
+        });
+    }
+
+    // Team whose drag is following the mouse, if any
+    getMouseTeam() {
+        return this.teams.find(team => this.seats[team].dragging && this.seats[team].touchId === null) || null;
+    }
+
+    getMouseSeat() {
+        const team = this.getMouseTeam();
+        return team ? this.seats[team] : null;
     }
 
-    updateMousePosition(e) {
+    // Team whose drag is following a touch. A touch that is not tied to a
+    // drag belongs to the seat on its half of the screen.
+    getTouchTeam(touch) {
+        const owner = this.teams.find(team => this.seats[team].dragging &&
+            this.seats[team].touchId === touch.identifier);
+        if (owner) return owner;
+        
         const rect = this.canvas.getBoundingClientRect();
-        this.mousePos.set(
-            e.clientX - rect.left,
-            e.clientY - rect.top
-        );
+        const team = this.seats.enemy && touch.clientY < rect.top + rect.height / 2 ? 'enemy' : 'player';
+        const seat = this.seats[team];
+        return seat.dragging && seat.touchId === null ? team : null;
     }
 
-    updateTouchPosition(touch) {
+    // Move a seat's pointer to a mouse event or touch, in arena coordinates
+    updatePointer(seat, point) {
+        if (!seat) return;
+        
+        const position = this.clientToArena(point.clientX, point.clientY);
+        seat.pointer.set(position.x, position.y);
+    }
+
+    // Convert a screen point to arena coordinates, undoing CSS scaling and
+    // the flipped view
+    clientToArena(clientX, clientY) {
         const rect = this.canvas.getBoundingClientRect();
-        this.mousePos.set(
-            touch.clientX - rect.left,
-            touch.clientY - rect.top
-        );
+        const x = (clientX - rect.left) * (this.canvas.width / rect.width);
+        const y = (clientY - rect.top) * (this.canvas.height / rect.height);
+        
+        return this.flipped
+            ? { x: this.canvas.width - x, y: this.canvas.height - y }
+            : { x, y };
     }
 
     // Card and unit placement
-    selectCard(cardType) {
-        this.selectedCard = cardType;
-        this.draggingCard = true;
+    selectCard(cardType, team = this.team, touchId = null) {
+        const seat = this.seats[team];
+        if (this.replay || !seat) return;
+        
+        seat.selectedCard = cardType;
+        seat.dragging = true;
+        seat.touchId = touchId;
     }
 
-    tryPlaceUnit() {
-        if (!this.selectedCard || !Utils.pointInRect(this.mousePos, this.playerZone)) {
-            this.cancelCardPlacement();
+    // Whether a card could be dropped at a canvas position by this team
+    canPlace(team, cardType, position) {
+        return this.simulation.canPlace(cardType, position, team);
+    }
+
+    tryPlaceUnit(team = this.team) {
+        const seat = this.seats[team];
+        // Nothing can be placed while the match is paused
+        if (!seat || !seat.selectedCard || this.paused) {
+            this.cancelCardPlacement(team);
             return;
         }
         
-        const unitData = this.getUnitData(this.selectedCard);
-        if (this.playerElixir >= unitData.cost) {
-            this.spawnUnit(this.selectedCard, this.mousePos.clone(), 'player');
-            this.playerElixir -= unitData.cost;
-            this.updateElixirDisplay();
+        const command = {
+            type: 'place',
+            card: seat.selectedCard,
+            position: { x: seat.pointer.x, y: seat.pointer.y },
+            team
+        };
+        this.cancelCardPlacement(team);
+        
+        // Online, the command goes through the server and the hand changes
+        // once it comes back on its tick
+        if (this.online) {
+            if (this.canPlace(team, command.card, command.position)) {
+                this.online.submit(command);
+            }
+            return;
         }
         
-        this.cancelCardPlacement();
+        const placed = this.simulation.applyCommand(command);
+        
+        if (placed && this.onHandChanged) {
+            this.onHandChanged(team);
+        }
     }
 
-    cancelCardPlacement() {
-        this.selectedCard = null;
-        this.draggingCard = false;
+    cancelCardPlacement(team = this.team) {
+        const seat = this.seats[team];
+        if (!seat) return;
+        
+        seat.selectedCard = null;
+        seat.dragging = false;
+        seat.touchId = null;
     }
 
     spawnUnit(type, position, team) {
-        const unit = new Unit(position, type, team);
-        this.units.push(unit);
-        
-        // Add spawn animation
-        unit.element?.classList.add('unit-spawn');
+        return this.simulation.spawnUnit(type, position, team);
     }
 
-    getUnitData(type) {
-        const unitTypes = {
-            knight: { cost: 3, health: 1200, damage: 150, speed: 30, range: 40 },
-            archer: { cost: 3, health: 400, damage: 100, speed: 40, range: 100 },
-            giant: { cost: 5, health: 3000, damage: 200, speed: 20, range: 50 },
-            wizard: { cost: 5, health: 600, damage: 250, speed: 35, range: 120 }
-        };
-        return unitTypes[type] || unitTypes.knight;
+    // HUD
+    updateHud() {
+        this.updateElixirDisplay();
+        this.updateHealthDisplay();
+        this.updateCrownDisplay();
+        this.updateTimerDisplay();
+        this.updatePaceControls();
+    }
+
+    updatePaceControls() {
+        const controls = document.getElementById('pace-controls');
+        if (!controls) return;
+        
+        controls.classList.toggle('hidden', !this.canControlPace);
+        document.getElementById('pause-btn').textContent = this.paused ? '▶️' : '⏸️';
+        document.getElementById('speed-btn').textContent = `${this.speed}x`;
     }
 
     updateElixirDisplay() {
-        const elixirElement = document.querySelector('.elixir-count');
-        if (elixirElement) {
-            elixirElement.textContent = Math.floor(this.playerElixir);
-        }
+        this.teams.forEach(team => {
+            const elixirDisplay = document.querySelector(`.elixir-display[data-team="${team}"]`);
+            if (!elixirDisplay) return;
+            
+            elixirDisplay.querySelector('.elixir-count').textContent = Math.floor(this.simulation.elixir[team]);
+            elixirDisplay.classList.toggle('double-elixir', this.simulation.elixirMultiplier > 1);
+        });
     }
 
-    // AI for enemy
-    startEnemyAI() {
-        // Add a 5 second delay before AI starts spawning units
-        setTimeout(() => {
-            setInterval(() => {
-                if (this.running) {
-                    this.enemyAI();
-                }
-            }, 5000); // AI acts every 5 seconds (less frequent)
-        }, 5000); // Wait 5 seconds before starting
+    updateTimerDisplay() {
+        const timerElement = document.querySelector('.timer-text');
+        if (!timerElement) return;
+        
+        const seconds = Math.ceil(this.simulation.timeRemaining);
+        const clock = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+        timerElement.textContent = this.simulation.phase === 'overtime' ? `OT ${clock}` : clock;
+        
+        const timerDisplay = document.querySelector('.match-timer');
+        if (timerDisplay) {
+            timerDisplay.classList.toggle('overtime', this.simulation.phase === 'overtime');
+        }
     }
 
-    enemyAI() {
-        const unitTypes = ['knight', 'archer', 'giant', 'wizard'];
-        const randomType = unitTypes[Utils.randomInt(0, unitTypes.length - 1)];
+    updateHealthDisplay() {
+        const tower = this.simulation.getKingTower(this.team);
+        if (!tower) return;
         
-        const spawnX = Utils.random(100, this.canvas.width - 100);
-        const spawnY = Utils.random(50, this.enemyZone.height - 50);
+        const healthText = document.querySelector('.health-text');
+        const healthFill = document.querySelector('.health-fill');
         
-        this.spawnUnit(randomType, new Vector2D(spawnX, spawnY), 'enemy');
+        if (healthText) {
+            healthText.textContent = `${Math.floor(tower.health)}/${tower.maxHealth}`;
+        }
+        
+        if (healthFill) {
+            const healthPercent = (tower.health / tower.maxHealth) * 100;
+            healthFill.style.width = `${healthPercent}%`;
+        }
+    }
+
+    updateCrownDisplay() {
+        const crownElement = document.querySelector('.crown-count');
+        if (crownElement) {
+            const crowns = this.simulation.crowns;
+            const opponent = this.team === 'player' ? 'enemy' : 'player';
+            crownElement.textContent = `${crowns[this.team]} - ${crowns[opponent]}`;
+        }
     }
 
     endGame(result) {
         this.running = false;
         
-        // Show game over screen
-        setTimeout(() => {
-            alert(result === 'victory' ? 'Victory!' : 'Defeat!');
-            // Reset game or return to menu
-            window.location.reload();
-        }, 1000);
+        // Keep the match so it can be watched from the replay menu
+        Replay.saveLast(Replay.fromSimulation(this.simulation));
+        
+        // Show the result banner; the owner decides what happens next
+        this.render();
+        if (this.onGameOver) this.onGameOver(result);
     }
 }
\ No newline at end of file
@@ -0,0 +1,73 @@
+// Trophy ladder. Wins against a bot or an online opponent earn trophies and
+// losses cost some; crossing an arena's threshold unlocks its battlefield
+// theme. The same matches pay gold for card upgrades. Matches on one device
+// (hotseat) don't count.
+export const TROPHIES_PER_WIN = 30;
+export const TROPHIES_PER_LOSS = 20;
+export const GOLD_PER_WIN = 50;
+export const GOLD_PER_CROWN = 10;
+
+// Arenas in trophy order. theme colours are used by Game.drawBattlefield.
+export const ARENAS = [
+    {
+        id: 'training_camp',
+        name: 'Training Camp',
+        trophies: 0,
+        theme: { sky: '#87CEEB', playerGround: '#90EE90', enemyGround: '#98FB98', river: '#4682B4', bridge: '#8B5A2B', bridgeEdge: '#5D3A1A' }
+    },
+    {
+        id: 'goblin_stadium',
+        name: 'Goblin Stadium',
+        trophies: 300,
+        theme: { sky: '#9bc5a3', playerGround: '#7cb342', enemyGround: '#8bc34a', river: '#3d7ab8', bridge: '#6d4c41', bridgeEdge: '#3e2723' }
+    },
+    {
+        id: 'bone_pit',
+        name: 'Bone Pit',
+        trophies: 600,
+        theme: { sky: '#b8a88a', playerGround: '#d7c49e', enemyGround: '#e0cfa9', river: '#5d6d7e', bridge: '#4e342e', bridgeEdge: '#2b1b17' }
+    },
+    {
+        id: 'frozen_peak',
+        name: 'Frozen Peak',
+        trophies: 1000,
+        theme: { sky: '#d6eaf8', playerGround: '#e8f4f8', enemyGround: '#f4fbfd', river: '#5dade2', bridge: '#7f8c8d', bridgeEdge: '#515a5a' }
+    },
+    {
+        id: 'royal_arena',
+        name: 'Royal Arena',
+        trophies: 1500,
+        theme: { sky: '#a9a1d4', playerGround: '#b39ddb', enemyGround: '#c5b3e6', river: '#2e86c1', bridge: '#8e6e53', bridgeEdge: '#5b4636' }
+    }
+];
+
+// Highest arena reached with this many trophies
+export function arenaFor(trophies) {
+    return ARENAS.reduce((reached, arena) => trophies >= arena.trophies ? arena : reached, ARENAS[0]);
+}
+
+// Next arena to reach, or null at the top
+export function nextArena(trophies) {
+    return ARENAS.find(arena => arena.trophies > trophies) || null;
+}
+
+export const OUTCOMES = ['win', 'loss', 'draw'];
+
+// One of OUTCOMES for team
+export function outcomeFor(result, team) {
+    if (!result.winner) return 'draw';
+    return result.winner === team ? 'win' : 'loss';
+}
+
+// Gold earned: a bonus for winning plus some for each crown taken, so a
+// close loss still pays
+export function goldReward(outcome, crowns) {
+    return (outcome === 'win' ? GOLD_PER_WIN : 0) + crowns * GOLD_PER_CROWN;
+}
+
+// Trophies won or lost, never dropping below zero
+export function trophyChange(outcome, trophies) {
+    if (outcome === 'win') return TROPHIES_PER_WIN;
+    if (outcome === 'loss') return -Math.min(TROPHIES_PER_LOSS, trophies);
+    return 0;
+}
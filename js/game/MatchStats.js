@@ -0,0 +1,61 @@
+import { cards } from '../cards/CardRegistry.js';
+
+// Running totals for the end-of-match screen, per team: elixir spent and
+// leaked (regenerated while already full), damage dealt per card, the
+// single troop or building that dealt the most (MVP), and the crown towers
+// left standing once the match is decided. Damage counts only the health
+// a target actually lost, so overkill is not counted. Nothing here feeds
+// back into the battle or the state hash.
+export class MatchStats {
+    constructor() {
+        this.teams = {
+            player: MatchStats.createTeam(),
+            enemy: MatchStats.createTeam()
+        };
+    }
+
+    static createTeam() {
+        return {
+            elixirSpent: 0,
+            elixirLeaked: 0,
+            damage: {}, // by card id; crown towers as 'king' and 'princess'
+            mvp: null, // { card, level, damage }
+            towers: [] // { kind, health, maxHealth } standing at the end
+        };
+    }
+
+    recordElixirSpent(team, amount) {
+        this.teams[team].elixirSpent += amount;
+    }
+
+    recordElixirLeaked(team, amount) {
+        this.teams[team].elixirLeaked += amount;
+    }
+
+    // source is a troop, building, crown tower or spell
+    recordDamage(source, amount) {
+        if (amount <= 0) return;
+
+        const stats = this.teams[source.team];
+        const cardId = source.card.id;
+        stats.damage[cardId] = (stats.damage[cardId] || 0) + amount;
+
+        // Spells and crown towers are not in the running for MVP
+        if (!cards.has(cardId) || cards.get(cardId).type === 'spell') return;
+
+        source.damageDealt += amount;
+        if (!stats.mvp || source.damageDealt > stats.mvp.damage) {
+            stats.mvp = { card: cardId, level: source.card.level, damage: source.damageDealt };
+        }
+    }
+
+    recordTowers(towers) {
+        towers.forEach(tower => {
+            this.teams[tower.team].towers.push({
+                kind: tower.kind,
+                health: tower.health,
+                maxHealth: tower.maxHealth
+            });
+        });
+    }
+}
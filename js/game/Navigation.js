@@ -0,0 +1,113 @@
+import { Vector2D, Utils } from '../utils/Utils.js';
+
+// River and bridge layout, relative to the arena size
+const RIVER_HALF_HEIGHT = 15; // px
+const BRIDGE_WIDTH = 60; // px
+const BRIDGE_POSITIONS = [0.25, 0.75]; // fraction of arena width, one per lane
+
+// Units line up on dry land this far in front of a bridge before stepping
+// onto it, and keep this margin from its sides while they do
+const APPROACH_DISTANCE = 20; // px
+const APPROACH_MARGIN = 10; // px
+
+// Navigation layer for ground units. The river across the middle of the
+// arena is impassable except at two bridges, one per lane. Paths are built
+// from bridge waypoints: a unit whose target is across the river lines up
+// in front of its lane's bridge, walks onto it and across, then heads for
+// the target. Lining up first keeps a unit on the bank beside a bridge from
+// walking straight into the water next to it.
+export class Navigation {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+
+        this.river = {
+            x: 0,
+            y: height / 2 - RIVER_HALF_HEIGHT,
+            width: width,
+            height: RIVER_HALF_HEIGHT * 2
+        };
+
+        this.bridges = BRIDGE_POSITIONS.map(fraction => ({
+            x: width * fraction - BRIDGE_WIDTH / 2,
+            y: this.river.y,
+            width: BRIDGE_WIDTH,
+            height: this.river.height
+        }));
+    }
+
+    // -1 north of the river, 1 south of it, 0 in the river band
+    sideOf(position) {
+        if (position.y < this.river.y) return -1;
+        if (position.y > this.river.y + this.river.height) return 1;
+        return 0;
+    }
+
+    // Index of the lane (bridge) closest to an x coordinate
+    laneFor(x) {
+        const distances = this.bridges.map(bridge => Math.abs(x - (bridge.x + bridge.width / 2)));
+        return distances.indexOf(Math.min(...distances));
+    }
+
+    bridgeAt(position) {
+        return this.bridges.find(bridge => Utils.pointInRect(position, bridge)) || null;
+    }
+
+    // Ground units may stand anywhere except in the water
+    isPassable(position) {
+        return this.sideOf(position) !== 0 || this.bridgeAt(position) !== null;
+    }
+
+    // Point on dry land straight in front of one end of a bridge
+    bridgeApproach(bridge, side) {
+        const x = bridge.x + bridge.width / 2;
+        return side < 0
+            ? new Vector2D(x, this.river.y - APPROACH_DISTANCE)
+            : new Vector2D(x, this.river.y + this.river.height + APPROACH_DISTANCE);
+    }
+
+    // Whether a straight walk from position onto the bridge stays clear of the water
+    isLinedUp(position, bridge) {
+        return Math.abs(position.x - (bridge.x + bridge.width / 2)) <= bridge.width / 2 - APPROACH_MARGIN;
+    }
+
+    // Point just inside the river band at one end of a bridge
+    bridgeEntrance(bridge, side) {
+        const x = bridge.x + bridge.width / 2;
+        return side < 0
+            ? new Vector2D(x, this.river.y + 1)
+            : new Vector2D(x, this.river.y + this.river.height - 1);
+    }
+
+    // Point just past one end of a bridge, back on dry land
+    bridgeExit(bridge, side) {
+        const x = bridge.x + bridge.width / 2;
+        return side < 0
+            ? new Vector2D(x, this.river.y - 1)
+            : new Vector2D(x, this.river.y + this.river.height + 1);
+    }
+
+    // Where a ground unit at `from` in `lane` should walk next to reach `to`
+    nextWaypoint(from, to, lane) {
+        const fromSide = this.sideOf(from);
+        const toSide = this.sideOf(to);
+
+        // No river in the way
+        if (fromSide === toSide) {
+            return to;
+        }
+
+        // A target standing on a bridge is reached through that bridge
+        const bridge = (toSide === 0 && this.bridgeAt(to)) || this.bridges[lane];
+
+        // Line up in front of our end of the bridge, then step onto it
+        if (fromSide !== 0) {
+            return this.isLinedUp(from, bridge)
+                ? this.bridgeEntrance(bridge, fromSide)
+                : this.bridgeApproach(bridge, fromSide);
+        }
+
+        // On a bridge: cross to the target's side
+        return this.bridgeExit(this.bridgeAt(from) || bridge, toSide);
+    }
+}
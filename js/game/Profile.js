@@ -0,0 +1,207 @@
+import { cards } from '../cards/CardRegistry.js';
+import { DEFAULT_DECK } from '../cards/cards.js';
+import { MIN_LEVEL, MAX_LEVEL, isLevel } from '../cards/levels.js';
+import { Deck } from './Deck.js';
+import { arenaFor, OUTCOMES } from './Ladder.js';
+
+export const PROFILE_VERSION = 1;
+
+const PROFILE_KEY = 'coyalerash.profile';
+
+// Gold a new profile starts with
+const STARTING_GOLD = 500;
+
+// Matches kept in the history, newest first
+export const MAX_HISTORY = 50;
+
+const MATCH_MODES = ['bot', 'hotseat', 'online'];
+
+// Gold to take a card from level n to n + 1, indexed by n - 1
+export const UPGRADE_COSTS = [
+    5, 20, 50, 150, 400, 1000, 2000,
+    4000, 8000, 15000, 25000, 40000, 60000
+];
+
+// The local player's progress: a level for every card that can go in a
+// deck, the deck they play, their gold and trophies, and their recent
+// matches. Saved in localStorage after every change and movable between
+// machines as a JSON file.
+export class Profile {
+    constructor(data = {}) {
+        this.gold = data.gold !== undefined ? data.gold : STARTING_GOLD;
+        this.deck = (data.deck || DEFAULT_DECK).slice();
+        this.trophies = data.trophies || 0;
+        // Entries a screen could not show are dropped rather than failing
+        // the whole profile
+        this.history = (data.history || []).filter(Profile.isHistoryEntry).slice(0, MAX_HISTORY);
+
+        // Cards added to the game since the profile was saved start at level 1
+        const saved = data.cards || {};
+        this.cards = {};
+        Profile.collectableIds().forEach(cardId => {
+            this.cards[cardId] = saved[cardId] || MIN_LEVEL;
+        });
+    }
+
+    // Whether entry has the shape recordMatch stores
+    static isHistoryEntry(entry) {
+        const isCount = value => Number.isInteger(value) && value >= 0;
+        const isDeck = deck => Array.isArray(deck) && deck.every(cardId => typeof cardId === 'string');
+        return Boolean(entry) && typeof entry === 'object' &&
+            Number.isFinite(entry.date) &&
+            MATCH_MODES.includes(entry.mode) &&
+            (entry.difficulty === null || typeof entry.difficulty === 'string') &&
+            OUTCOMES.includes(entry.outcome) &&
+            typeof entry.reason === 'string' &&
+            Boolean(entry.crowns) && isCount(entry.crowns.ours) && isCount(entry.crowns.theirs) &&
+            Number.isFinite(entry.duration) && entry.duration >= 0 &&
+            Boolean(entry.decks) && isDeck(entry.decks.ours) && isDeck(entry.decks.theirs) &&
+            Number.isInteger(entry.trophyChange) && isCount(entry.trophies) &&
+            (entry.gold === undefined || isCount(entry.gold));
+    }
+
+    // Every card a player can own; spawn-only troops are not cards in hand
+    static collectableIds() {
+        return cards.all().filter(card => !card.spawnOnly).map(card => card.id);
+    }
+
+    levelOf(cardId) {
+        return this.cards[cardId];
+    }
+
+    // Levels of the cards in the deck, as the simulation takes them
+    get deckLevels() {
+        const levels = {};
+        this.deck.forEach(cardId => {
+            levels[cardId] = this.levelOf(cardId);
+        });
+        return levels;
+    }
+
+    // What we bring to a match
+    get loadout() {
+        return { deck: this.deck.slice(), levels: this.deckLevels };
+    }
+
+    // Average level of the deck, rounded, for matching a bot's strength
+    get deckLevel() {
+        const total = this.deck.reduce((sum, cardId) => sum + this.levelOf(cardId), 0);
+        return Math.round(total / this.deck.length);
+    }
+
+    // Throws if cardIds is not a valid deck
+    setDeck(cardIds) {
+        Deck.validate(cardIds);
+        this.deck = cardIds.slice();
+        this.save();
+    }
+
+    // Gold for the next level of a card, or null at the top level
+    upgradeCost(cardId) {
+        const level = this.levelOf(cardId);
+        return level < MAX_LEVEL ? UPGRADE_COSTS[level - MIN_LEVEL] : null;
+    }
+
+    canUpgrade(cardId) {
+        const cost = this.upgradeCost(cardId);
+        return cost !== null && this.gold >= cost;
+    }
+
+    upgrade(cardId) {
+        if (!this.canUpgrade(cardId)) return false;
+
+        this.gold -= this.upgradeCost(cardId);
+        this.cards[cardId]++;
+        this.save();
+        return true;
+    }
+
+    get arena() {
+        return arenaFor(this.trophies);
+    }
+
+    // Add a finished match to the history and apply its trophy change and
+    // gold. Both are worked out by the caller (see Ladder.js).
+    recordMatch(entry) {
+        this.trophies += entry.trophyChange;
+        this.gold += entry.gold;
+        this.history.unshift({ ...entry, trophies: this.trophies });
+        this.history.length = Math.min(this.history.length, MAX_HISTORY);
+        this.save();
+    }
+
+    toJSON() {
+        return {
+            version: PROFILE_VERSION,
+            gold: this.gold,
+            trophies: this.trophies,
+            deck: this.deck,
+            cards: this.cards,
+            history: this.history
+        };
+    }
+
+    serialize() {
+        return JSON.stringify(this.toJSON(), null, 2);
+    }
+
+    // Parse and validate an exported profile. Throws on malformed input.
+    static parse(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            throw new Error('Invalid profile: not valid JSON');
+        }
+
+        if (!data || data.version !== PROFILE_VERSION) {
+            throw new Error(`Invalid profile: unsupported version ${data && data.version}`);
+        }
+        if (!Number.isInteger(data.gold) || data.gold < 0) {
+            throw new Error('Invalid profile: gold must be a whole number >= 0');
+        }
+        if (data.trophies !== undefined && (!Number.isInteger(data.trophies) || data.trophies < 0)) {
+            throw new Error('Invalid profile: trophies must be a whole number >= 0');
+        }
+        if (data.history !== undefined && !Array.isArray(data.history)) {
+            throw new Error('Invalid profile: history must be a list');
+        }
+        if (!data.cards || typeof data.cards !== 'object') {
+            throw new Error('Invalid profile: missing card collection');
+        }
+        Object.entries(data.cards).forEach(([cardId, level]) => {
+            if (!cards.has(cardId) || cards.get(cardId).spawnOnly) {
+                throw new Error(`Invalid profile: unknown card "${cardId}"`);
+            }
+            if (!isLevel(level)) {
+                throw new Error(`Invalid profile: "${cardId}" must be level ${MIN_LEVEL} to ${MAX_LEVEL}`);
+            }
+        });
+        try {
+            Deck.validate(data.deck);
+        } catch (error) {
+            throw new Error(`Invalid profile: ${error.message}`);
+        }
+
+        return new Profile(data);
+    }
+
+    save() {
+        try {
+            localStorage.setItem(PROFILE_KEY, this.serialize());
+        } catch (e) {
+            // Storage may be full or unavailable; progress lasts until reload
+        }
+    }
+
+    // The saved profile, or a fresh one if there is none or it is unreadable
+    static load() {
+        try {
+            const text = localStorage.getItem(PROFILE_KEY);
+            if (text) return Profile.parse(text);
+        } catch (e) {
+            // Fall through to a fresh profile
+        }
+        return new Profile();
+    }
+}
@@ -0,0 +1,179 @@
+import { Simulation } from './Simulation.js';
+import { Deck } from './Deck.js';
+import { validateLevels } from '../cards/levels.js';
+
+export const REPLAY_VERSION = 3;
+
+const LAST_REPLAY_KEY = 'coyalerash.lastReplay';
+
+// Arena sizes a match can be played at, in px: local matches take the
+// width of the game container (at most 900) and a 500 high canvas
+const ARENA_LIMITS = {
+    width: { min: 200, max: 900 },
+    height: { min: 200, max: 500 }
+};
+
+// A replay is everything needed to re-simulate a match: the RNG seed, the
+// arena config, both decks with their card levels and every accepted command
+// with the tick it was applied on. Commands are stored as compact tuples:
+// [tick, card, x, y, team].
+export class Replay {
+    static fromSimulation(simulation) {
+        return {
+            version: REPLAY_VERSION,
+            seed: simulation.seed,
+            arena: { width: simulation.width, height: simulation.height },
+            decks: {
+                player: simulation.decks.player.cards,
+                enemy: simulation.decks.enemy.cards
+            },
+            levels: {
+                player: simulation.levels.player,
+                enemy: simulation.levels.enemy
+            },
+            ticks: simulation.tick,
+            winner: simulation.winner,
+            commands: simulation.commandLog.map(cmd => [
+                cmd.tick, cmd.card, cmd.position.x, cmd.position.y, cmd.team
+            ])
+        };
+    }
+
+    static serialize(replay) {
+        return JSON.stringify(replay);
+    }
+
+    // Parse and validate a replay file. Throws on malformed input, so a
+    // replay that parses can always be played back.
+    static parse(text) {
+        let replay;
+        try {
+            replay = JSON.parse(text);
+        } catch (e) {
+            throw new Error('Invalid replay: not valid JSON');
+        }
+
+        if (!replay || replay.version !== REPLAY_VERSION) {
+            throw new Error(`Invalid replay: unsupported version ${replay && replay.version}`);
+        }
+        if (!Number.isInteger(replay.seed) || !Number.isInteger(replay.ticks)) {
+            throw new Error('Invalid replay: missing seed or tick count');
+        }
+        if (!replay.arena || !Replay.isArenaSize(replay.arena)) {
+            const { width, height } = ARENA_LIMITS;
+            throw new Error(`Invalid replay: arena must be ${width.min}-${width.max} by ` +
+                `${height.min}-${height.max} whole px`);
+        }
+        if (!replay.decks || !Array.isArray(replay.decks.player) || !Array.isArray(replay.decks.enemy)) {
+            throw new Error('Invalid replay: missing decks');
+        }
+        if (!replay.levels || typeof replay.levels.player !== 'object' || typeof replay.levels.enemy !== 'object') {
+            throw new Error('Invalid replay: missing card levels');
+        }
+        try {
+            ['player', 'enemy'].forEach(team => {
+                Deck.validate(replay.decks[team]);
+                validateLevels(replay.levels[team]);
+            });
+        } catch (error) {
+            throw new Error(`Invalid replay: ${error.message}`);
+        }
+        if (!Array.isArray(replay.commands) || !replay.commands.every(Replay.isCommand)) {
+            throw new Error('Invalid replay: malformed command list');
+        }
+
+        return replay;
+    }
+
+    // Whether arena is a size a match can be played at
+    static isArenaSize(arena) {
+        return ['width', 'height'].every(dimension => {
+            const size = arena[dimension];
+            const limits = ARENA_LIMITS[dimension];
+            return Number.isInteger(size) && size >= limits.min && size <= limits.max;
+        });
+    }
+
+    // Whether c is a [tick, card, x, y, team] tuple
+    static isCommand(c) {
+        return Array.isArray(c) && c.length === 5 &&
+            Number.isInteger(c[0]) && c[0] >= 0 &&
+            typeof c[1] === 'string' &&
+            Number.isFinite(c[2]) && Number.isFinite(c[3]) &&
+            (c[4] === 'player' || c[4] === 'enemy');
+    }
+
+    // Decode a command tuple back into a simulation command
+    static decodeCommand([tick, card, x, y, team]) {
+        return { tick, type: 'place', card, position: { x, y }, team };
+    }
+
+    // Persist the most recent match so it survives the end-of-game reload
+    static saveLast(replay) {
+        try {
+            localStorage.setItem(LAST_REPLAY_KEY, Replay.serialize(replay));
+        } catch (e) {
+            // Storage may be full or unavailable; losing the replay is not fatal
+        }
+    }
+
+    static loadLast() {
+        try {
+            const text = localStorage.getItem(LAST_REPLAY_KEY);
+            return text ? Replay.parse(text) : null;
+        } catch (e) {
+            return null;
+        }
+    }
+}
+
+// Re-simulates a replay tick by tick. Seeking backwards restarts from tick 0,
+// which is cheap because the simulation is deterministic and headless.
+export class ReplayPlayer {
+    constructor(replay) {
+        this.replay = replay;
+        this.commands = replay.commands.map(Replay.decodeCommand);
+        this.reset();
+    }
+
+    get totalTicks() {
+        return this.replay.ticks;
+    }
+
+    get finished() {
+        return this.simulation.over || this.simulation.tick >= this.totalTicks;
+    }
+
+    reset() {
+        this.simulation = new Simulation({
+            width: this.replay.arena.width,
+            height: this.replay.arena.height,
+            seed: this.replay.seed,
+            decks: this.replay.decks,
+            levels: this.replay.levels
+        });
+        this.nextCommand = 0;
+    }
+
+    // Apply this tick's commands, then advance one tick
+    step() {
+        if (this.finished) return;
+
+        while (this.nextCommand < this.commands.length &&
+               this.commands[this.nextCommand].tick <= this.simulation.tick) {
+            this.simulation.applyCommand(this.commands[this.nextCommand]);
+            this.nextCommand++;
+        }
+
+        this.simulation.step();
+    }
+
+    seek(tick) {
+        if (tick < this.simulation.tick) {
+            this.reset();
+        }
+        while (this.simulation.tick < tick && !this.finished) {
+            this.step();
+        }
+    }
+}
@@ -0,0 +1,676 @@
+import { Vector2D, Utils, SeededRandom } from '../utils/Utils.js';
+import { Unit } from '../entities/Unit.js';
+import { Tower } from '../entities/Tower.js';
+import { Building } from '../entities/Building.js';
+import { Spell } from '../entities/Spell.js';
+import { EFFECT_TYPES } from '../entities/StatusEffects.js';
+import { Deck } from './Deck.js';
+import { Navigation } from './Navigation.js';
+import { MatchStats } from './MatchStats.js';
+import { SpatialGrid } from './SpatialGrid.js';
+import { cards } from '../cards/CardRegistry.js';
+import { DEFAULT_DECK } from '../cards/cards.js';
+import { MIN_LEVEL, validateLevels } from '../cards/levels.js';
+
+// Fixed simulation clock
+export const TICK_RATE = 30; // ticks per second
+export const TICK_DURATION = 1 / TICK_RATE; // seconds per tick
+
+// Match clock, in seconds of game time
+export const MATCH_DURATION = 180;
+export const DOUBLE_ELIXIR_TIME = 60; // last minute of regular time
+export const OVERTIME_DURATION = 60;
+
+// Share of an overlap between two troops undone per tick. Under 1 so a
+// crowd settles over a few ticks instead of jittering.
+const SEPARATION_STRENGTH = 0.5;
+
+// Troops deployed on the very same spot fan out along these directions,
+// picked by unit index. A fixed table, because sin and cos may round
+// differently from one JS engine to the next and desync lockstep peers.
+const SPREAD_DIRECTIONS = [
+    { x: 1, y: 0 }, { x: -Math.SQRT1_2, y: -Math.SQRT1_2 },
+    { x: 0, y: 1 }, { x: Math.SQRT1_2, y: -Math.SQRT1_2 },
+    { x: -1, y: 0 }, { x: Math.SQRT1_2, y: Math.SQRT1_2 },
+    { x: 0, y: -1 }, { x: -Math.SQRT1_2, y: Math.SQRT1_2 }
+];
+
+// Headless battle simulation. Owns the arena state and all combat rules,
+// and never touches the DOM, so it can run in Node as well as the browser.
+export class Simulation {
+    constructor(config = {}) {
+        // Arena
+        this.width = config.width || 800;
+        this.height = config.height || 500;
+
+        // Simulation clock. All cooldowns are measured against game time,
+        // never the wall clock.
+        this.tick = 0;
+        this.time = 0; // ms of game time
+
+        // Seeded RNG for anything random inside the simulation
+        this.seed = config.seed !== undefined ? config.seed >>> 0 : SeededRandom.randomSeed();
+        this.rng = new SeededRandom(this.seed);
+
+        // Match state
+        this.over = false;
+        this.winner = null;
+        this.result = null;
+        this.phase = 'regular'; // 'regular' or 'overtime' (sudden death)
+        this.crowns = { player: 0, enemy: 0 };
+
+        // Every accepted command, stamped with the tick it was applied on
+        this.commandLog = [];
+
+        // Elixir and damage totals for the end-of-match screen
+        this.stats = new MatchStats();
+
+        // Game objects
+        this.units = [];
+        this.towers = [];
+        this.buildings = []; // placed from cards; crown towers live in towers
+        this.projectiles = [];
+        this.spells = [];
+
+        // Index of where the units are, for targeting and hit detection.
+        // Rebuilt whenever units have moved during a step.
+        this.unitGrid = new SpatialGrid(this.width, this.height);
+
+        // Each side cycles through its own deck of 8
+        const decks = config.decks || {};
+        this.decks = {
+            player: new Deck(decks.player || DEFAULT_DECK, this.rng),
+            enemy: new Deck(decks.enemy || DEFAULT_DECK, this.rng)
+        };
+
+        // Card levels per side, by card id; missing cards are level 1
+        const levels = config.levels || {};
+        this.levels = {};
+        ['player', 'enemy'].forEach(team => {
+            validateLevels(levels[team] || {});
+            this.levels[team] = { ...levels[team] };
+        });
+
+        // Elixir, per team. Both sides follow the same regen rules.
+        this.elixir = { player: 10, enemy: 10 };
+        this.maxElixir = 10;
+        this.elixirRegenRate = 1; // per regen tick
+        this.elixirRegenInterval = 3.0; // seconds between regen ticks at 1x
+        this.lastElixirRegen = 0;
+
+        // River, bridges and lanes. The layout never changes during a match.
+        this.navigation = Utils.deepFreeze(new Navigation(this.width, this.height));
+
+        // Game areas
+        this.playerZone = {
+            x: 0,
+            y: this.height / 2,
+            width: this.width,
+            height: this.height / 2
+        };
+
+        this.enemyZone = {
+            x: 0,
+            y: 0,
+            width: this.width,
+            height: this.height / 2
+        };
+
+        this.initializeTowers();
+    }
+
+    // Each side has a king tower at the back and two princess towers
+    // guarding the lanes in front of it
+    initializeTowers() {
+        const princessX = [this.width * 0.25, this.width * 0.75];
+
+        // Player towers
+        this.towers.push(new Tower(new Vector2D(this.width / 2, this.height - 45), 'player', 'king'));
+        princessX.forEach(x => {
+            this.towers.push(new Tower(new Vector2D(x, this.height - 100), 'player', 'princess'));
+        });
+
+        // Enemy towers
+        this.towers.push(new Tower(new Vector2D(this.width / 2, 45), 'enemy', 'king'));
+        princessX.forEach(x => {
+            this.towers.push(new Tower(new Vector2D(x, 100), 'enemy', 'princess'));
+        });
+    }
+
+    // Advance the simulation by exactly one fixed tick
+    step() {
+        if (this.over) return;
+
+        const deltaTime = TICK_DURATION;
+        this.tick++;
+        this.time = this.tick * TICK_DURATION * 1000;
+
+        // Update elixir
+        this.updateElixir(deltaTime);
+
+        // Update units
+        this.unitGrid.rebuild(this.units);
+        this.updateUnits(deltaTime);
+
+        // Keep bodies from overlapping
+        this.unitGrid.rebuild(this.units);
+        this.resolveBodyCollisions();
+        this.unitGrid.rebuild(this.units);
+
+        // Update projectiles
+        this.updateProjectiles(deltaTime);
+
+        // Update spells
+        this.updateSpells(deltaTime);
+
+        // Update towers and buildings
+        this.updateTowers(deltaTime);
+        this.updateBuildings(deltaTime);
+
+        // Fire death triggers first, so a tower a death bomb destroys
+        // counts this tick too
+        this.resolveDeaths();
+
+        // Award crowns for fallen towers, then remove dead entities
+        this.updateCrowns();
+        this.cleanupEntities();
+
+        // Check win conditions
+        this.checkWinConditions();
+    }
+
+    // Apply an input command. Commands are plain objects so they can be
+    // produced by any input source (mouse, AI, tests):
+    //   { type: 'place', card: 'knight', position: { x, y }, team: 'player' }
+    // Returns true if the command was accepted.
+    applyCommand(cmd) {
+        if (this.over || !cmd) return false;
+
+        let accepted = false;
+        switch (cmd.type) {
+            case 'place':
+                accepted = this.placeCard(cmd.card, Vector2D.from(cmd.position), cmd.team);
+                break;
+        }
+
+        if (accepted) {
+            this.commandLog.push({
+                tick: this.tick,
+                type: cmd.type,
+                card: cmd.card,
+                position: { x: cmd.position.x, y: cmd.position.y },
+                team: cmd.team
+            });
+        }
+        return accepted;
+    }
+
+    placeCard(cardType, position, team) {
+        const deck = this.decks[team];
+        if (!deck || !deck.has(cardType)) return false;
+        if (!this.canPlace(cardType, position, team)) return false;
+
+        const card = this.getUnitData(cardType, team);
+        if (this.elixir[team] < card.cost) return false;
+        this.elixir[team] -= card.cost;
+        this.stats.recordElixirSpent(team, card.cost);
+
+        deck.play(cardType);
+        if (card.type === 'spell') {
+            this.castSpell(cardType, position, team, card.level);
+        } else if (card.type === 'building') {
+            this.spawnBuilding(cardType, position, team, card.level);
+        } else {
+            this.spawnTroop(cardType, position, team, card.level);
+        }
+        return true;
+    }
+
+    // Spells can be dropped anywhere in the arena, troops and buildings
+    // only on their own side. Buildings also need dry land clear of every
+    // other tower and building.
+    canPlace(cardType, position, team) {
+        const card = this.getUnitData(cardType);
+        const arena = { x: 0, y: 0, width: this.width, height: this.height };
+        if (!Utils.pointInRect(position, arena)) return false;
+        if (card.type === 'spell') return true;
+
+        if (!Utils.pointInRect(position, this.getZone(team))) return false;
+        if (card.type === 'troop') {
+            return card.movement !== 'ground' || this.navigation.isPassable(position);
+        }
+
+        if (!this.navigation.isPassable(position)) return false;
+        return ![...this.towers, ...this.buildings].some(building => building.alive &&
+            Utils.circleCollision(position, card.stats.radius, building.position, building.radius));
+    }
+
+    // Seconds left on the clock in the current phase
+    get timeRemaining() {
+        const elapsed = this.time / 1000;
+        const end = this.phase === 'overtime' ? MATCH_DURATION + OVERTIME_DURATION : MATCH_DURATION;
+        return Math.max(0, end - elapsed);
+    }
+
+    // Elixir flows twice as fast in the last minute and in overtime
+    get elixirMultiplier() {
+        if (this.phase === 'overtime' || this.timeRemaining <= DOUBLE_ELIXIR_TIME) {
+            return 2;
+        }
+        return 1;
+    }
+
+    updateElixir(deltaTime) {
+        this.lastElixirRegen += deltaTime * this.elixirMultiplier;
+        if (this.lastElixirRegen >= this.elixirRegenInterval) {
+            Object.keys(this.elixir).forEach(team => {
+                const gained = Math.min(this.elixirRegenRate, this.maxElixir - this.elixir[team]);
+                this.elixir[team] += gained;
+                this.stats.recordElixirLeaked(team, this.elixirRegenRate - gained);
+            });
+            this.lastElixirRegen -= this.elixirRegenInterval;
+        }
+    }
+
+    // Half of the arena a team may deploy troops in
+    getZone(team) {
+        return team === 'player' ? this.playerZone : this.enemyZone;
+    }
+
+    updateUnits(deltaTime) {
+        this.units.forEach(unit => {
+            unit.update(deltaTime, this);
+        });
+    }
+
+    // Troops are solid. Overlapping troops push each other apart, the
+    // lighter one giving way more, and ground troops are pushed out of
+    // towers and buildings. Flying troops only bump into other flyers.
+    resolveBodyCollisions() {
+        // Each touching pair is handled once, from its earlier unit
+        const order = new Map(this.units.map((unit, index) => [unit, index]));
+
+        this.units.forEach((unit1, i) => {
+            if (!unit1.alive) return;
+
+            const neighbours = this.unitGrid.queryRadius(unit1.position, unit1.radius,
+                unit2 => order.get(unit2) > i && unit2.flying === unit1.flying);
+
+            neighbours.forEach(unit2 => {
+                const j = order.get(unit2);
+                if (!Utils.circleCollision(unit1.position, unit1.radius, unit2.position, unit2.radius)) return;
+
+                const distance = unit1.position.distanceTo(unit2.position);
+                const direction = distance > 0
+                    ? unit1.position.directionTo(unit2.position)
+                    : Vector2D.from(SPREAD_DIRECTIONS[j % SPREAD_DIRECTIONS.length]);
+                const overlap = (unit1.radius + unit2.radius - distance) * SEPARATION_STRENGTH;
+                const totalMass = unit1.mass + unit2.mass;
+
+                this.pushUnit(unit1, direction, -overlap * unit2.mass / totalMass);
+                this.pushUnit(unit2, direction, overlap * unit1.mass / totalMass);
+            });
+        });
+
+        this.units.forEach(unit => {
+            if (!unit.alive || unit.flying) return;
+
+            [...this.towers, ...this.buildings].forEach(building => {
+                if (!building.alive) return;
+
+                const distance = unit.position.distanceTo(building.position);
+                const minDistance = unit.radius + building.radius;
+                if (distance >= minDistance) return;
+
+                // A troop dropped right on a building steps out towards the enemy
+                const direction = distance > 0
+                    ? building.position.directionTo(unit.position)
+                    : new Vector2D(0, unit.team === 'player' ? -1 : 1);
+                this.pushUnit(unit, direction, minDistance - distance);
+            });
+        });
+    }
+
+    // Move a unit `distance` pixels along `direction`, but never off the
+    // arena or from dry land into the river
+    pushUnit(unit, direction, distance) {
+        const next = unit.position.clone().add(direction.clone().multiply(distance));
+        next.x = Utils.clamp(next.x, unit.radius, this.width - unit.radius);
+        next.y = Utils.clamp(next.y, unit.radius, this.height - unit.radius);
+
+        if (unit.flying || this.navigation.isPassable(next) || !this.navigation.isPassable(unit.position)) {
+            unit.position = next;
+        }
+    }
+
+    updateProjectiles(deltaTime) {
+        this.projectiles.forEach(projectile => {
+            projectile.update(deltaTime, this);
+        });
+    }
+
+    updateSpells(deltaTime) {
+        this.spells.forEach(spell => {
+            spell.update(deltaTime, this);
+        });
+    }
+
+    updateTowers(deltaTime) {
+        this.towers.forEach(tower => {
+            tower.update(deltaTime, this);
+        });
+    }
+
+    // Troops killed this tick drop their death damage and death spawns
+    // before their bodies are cleared away. A death bomb can kill more
+    // troops, whose own triggers then fire in turn.
+    resolveDeaths() {
+        const resolved = new Set();
+        let dead = this.units.filter(unit => !unit.alive);
+        while (dead.length > 0) {
+            dead.forEach(unit => {
+                resolved.add(unit);
+                this.triggerDeath(unit);
+            });
+            dead = this.units.filter(unit => !unit.alive && !resolved.has(unit));
+        }
+    }
+
+    // Death damage hits enemies on the ground: troops, towers and buildings.
+    // Death spawns come out at the dead unit's level.
+    triggerDeath(unit) {
+        const { deathDamage, deathSpawn } = unit.card;
+
+        if (deathDamage) {
+            this.findInArea(unit.position, deathDamage.radius,
+                entity => entity.team !== unit.team && entity.category !== 'air')
+                .forEach(entity => this.dealDamage(unit, entity, deathDamage.damage));
+        }
+
+        if (deathSpawn) {
+            // Side by side, across the spot where it fell
+            const spacing = cards.get(deathSpawn.card).stats.radius * 2;
+            const offsets = Array.from({ length: deathSpawn.count }, (_, i) =>
+                ({ x: (i - (deathSpawn.count - 1) / 2) * spacing, y: 0 }));
+            this.spawnFormation(deathSpawn.card, unit.position, unit.team, offsets, unit.level);
+        }
+    }
+
+    // Placed buildings award no crowns and simply disappear once destroyed
+    // or crumbled away
+    updateBuildings(deltaTime) {
+        this.buildings.forEach(building => {
+            building.update(deltaTime, this);
+        });
+    }
+
+    cleanupEntities() {
+        this.units = this.units.filter(unit => unit.alive);
+        this.buildings = this.buildings.filter(building => building.alive);
+        this.projectiles = this.projectiles.filter(projectile => projectile.alive);
+        this.spells = this.spells.filter(spell => spell.alive);
+    }
+
+    // Living units, towers and buildings touching the circle that pass filter
+    findInArea(position, radius, filter) {
+        const found = this.unitGrid.queryRadius(position, radius, filter);
+
+        [...this.towers, ...this.buildings].forEach(building => {
+            if (building.alive && filter(building) &&
+                Utils.circleCollision(position, radius, building.position, building.radius)) {
+                found.push(building);
+            }
+        });
+
+        return found;
+    }
+
+    // Hurt target on behalf of source (a troop, building, crown tower or
+    // spell) and count the health it actually lost towards the match stats
+    dealDamage(source, target, amount) {
+        const lost = Math.min(amount, target.health);
+        target.takeDamage(amount);
+        this.stats.recordDamage(source, lost);
+    }
+
+    // Damage every enemy of source touching the circle. Crown towers take
+    // damage scaled by towerDamageScale; placed buildings take it in full.
+    damageArea(source, position, radius, damage, towerDamageScale = 1) {
+        this.findInArea(position, radius, entity => entity.team !== source.team).forEach(entity => {
+            this.dealDamage(source, entity, entity instanceof Tower ? damage * towerDamageScale : damage);
+        });
+    }
+
+    // Put source's status effects on everything touching the circle: its
+    // enemies, or its own troops and towers for buffs like Rage. Damage
+    // over time on crown towers is scaled like damageArea's damage.
+    applyEffectsInArea(source, position, radius, effects, allies = false, towerDamageScale = 1) {
+        this.findInArea(position, radius, entity => (entity.team === source.team) === allies).forEach(entity => {
+            effects.forEach(effect => {
+                const scaled = entity instanceof Tower && EFFECT_TYPES[effect.type].damagePerSecond
+                    ? { ...effect, strength: effect.strength * towerDamageScale }
+                    : effect;
+                entity.applyEffect(scaled, this.time, source);
+            });
+        });
+    }
+
+    // Destroyed towers leave the tower list once their crowns are counted:
+    // a princess tower is worth one crown and wakes its king, the king
+    // tower is worth all three.
+    updateCrowns() {
+        this.towers.forEach(tower => {
+            if (tower.alive) return;
+
+            const opponent = tower.team === 'player' ? 'enemy' : 'player';
+            if (tower.isKing) {
+                this.crowns[opponent] = 3;
+            } else {
+                this.crowns[opponent] = Math.min(this.crowns[opponent] + 1, 3);
+                const king = this.getKingTower(tower.team);
+                if (king) king.activate();
+            }
+        });
+
+        this.towers = this.towers.filter(tower => tower.alive);
+    }
+
+    checkWinConditions() {
+        // A fallen king tower ends the match at once
+        const playerKing = this.getKingTower('player');
+        const enemyKing = this.getKingTower('enemy');
+        if (!playerKing || !enemyKing) {
+            const winner = playerKing ? 'player' : enemyKing ? 'enemy' : null;
+            this.finish(winner, 'king');
+            return;
+        }
+
+        const leader = this.getCrownLeader();
+
+        // Sudden death: the first crown in overtime wins
+        if (this.phase === 'overtime' && leader) {
+            this.finish(leader, 'sudden_death');
+            return;
+        }
+
+        if (this.timeRemaining > 0) return;
+
+        if (this.phase === 'regular') {
+            if (leader) {
+                this.finish(leader, 'crowns');
+            } else {
+                this.phase = 'overtime';
+            }
+        } else {
+            this.finish(this.getTiebreakWinner(), 'tiebreak');
+        }
+    }
+
+    // Team with more crowns, or null if tied
+    getCrownLeader() {
+        if (this.crowns.player === this.crowns.enemy) return null;
+        return this.crowns.player > this.crowns.enemy ? 'player' : 'enemy';
+    }
+
+    // After overtime, the side whose weakest tower has the lower health
+    // percentage loses. Returns null for a draw.
+    getTiebreakWinner() {
+        const lowest = team => Math.min(...this.towers
+            .filter(tower => tower.team === team && tower.alive)
+            .map(tower => tower.health / tower.maxHealth));
+
+        const player = lowest('player');
+        const enemy = lowest('enemy');
+        if (player === enemy) return null;
+        return player > enemy ? 'player' : 'enemy';
+    }
+
+    finish(winner, reason) {
+        this.over = true;
+        this.winner = winner;
+        this.result = {
+            winner, // 'player', 'enemy' or null for a draw
+            reason, // 'king', 'crowns', 'sudden_death', 'tiebreak' or 'forfeit'
+            crowns: { ...this.crowns },
+            overtime: this.phase === 'overtime',
+            duration: this.time / 1000,
+            tick: this.tick
+        };
+        this.stats.recordTowers(this.towers);
+    }
+
+    // Deploy a troop card: one unit, or one per offset of its formation
+    spawnTroop(type, position, team, level = MIN_LEVEL) {
+        const formation = cards.get(type).formation || [{ x: 0, y: 0 }];
+        return this.spawnFormation(type, position, team, formation, level);
+    }
+
+    // One unit per offset around position. Offsets are as the bottom side
+    // sees them and turned around for the top side. A ground unit whose
+    // spot would be in the river stands on position instead.
+    spawnFormation(type, position, team, offsets, level = MIN_LEVEL) {
+        const card = cards.get(type);
+        const facing = team === 'player' ? 1 : -1;
+
+        return offsets.map(offset => {
+            let spot = new Vector2D(
+                Utils.clamp(position.x + offset.x * facing, card.stats.radius, this.width - card.stats.radius),
+                Utils.clamp(position.y + offset.y * facing, card.stats.radius, this.height - card.stats.radius)
+            );
+            if (card.movement === 'ground' && !this.navigation.isPassable(spot)) {
+                spot = position.clone();
+            }
+            return this.spawnUnit(type, spot, team, level);
+        });
+    }
+
+    spawnUnit(type, position, team, level = MIN_LEVEL) {
+        const unit = new Unit(position, type, team, level);
+        unit.lane = this.navigation.laneFor(position.x);
+        this.units.push(unit);
+        this.unitGrid.insert(unit);
+        return unit;
+    }
+
+    spawnBuilding(type, position, team, level = MIN_LEVEL) {
+        const building = new Building(position, team, cards.getLeveled(type, level));
+        this.buildings.push(building);
+        return building;
+    }
+
+    // Spells fly from the caster's king tower to the target point
+    castSpell(type, position, team, level = MIN_LEVEL) {
+        const tower = this.getKingTower(team);
+        const spell = new Spell(cards.getLeveled(type, level), position, team, tower ? tower.position : null);
+        this.spells.push(spell);
+        return spell;
+    }
+
+    // Card data, at the level team plays it at when a team is given
+    getUnitData(type, team = null) {
+        return team ? cards.getLeveled(type, this.levelOf(team, type)) : cards.get(type);
+    }
+
+    levelOf(team, type) {
+        return this.levels[team][type] || MIN_LEVEL;
+    }
+
+    // Independent copy of the whole match state, e.g. for AI lookahead.
+    // Stepping the copy never affects this simulation.
+    clone() {
+        // The unit index is cheaper to rebuild than to copy cell by cell
+        const grid = new SpatialGrid(this.width, this.height);
+        const copy = Utils.deepClone(this, new Map([[this.unitGrid, grid]]));
+        grid.rebuild(copy.units);
+        return copy;
+    }
+
+    // Fingerprint of the match state on this tick. Two simulations fed the
+    // same seed and commands hash equal on every tick; lockstep peers
+    // compare hashes to detect a desync.
+    stateHash() {
+        const parts = [
+            this.tick, this.rng.state, this.phase,
+            this.elixir.player, this.elixir.enemy,
+            this.crowns.player, this.crowns.enemy,
+            this.decks.player.hand.join(), this.decks.enemy.hand.join()
+        ];
+        this.units.forEach(unit => {
+            parts.push(unit.type, unit.team, unit.position.x, unit.position.y, unit.health);
+        });
+        this.towers.forEach(tower => {
+            parts.push(tower.kind, tower.team, tower.health, tower.active);
+        });
+        this.buildings.forEach(building => {
+            parts.push(building.type, building.team, building.health);
+        });
+        this.projectiles.forEach(projectile => {
+            parts.push(projectile.position.x, projectile.position.y);
+        });
+        this.spells.forEach(spell => {
+            parts.push(spell.type, spell.position.x, spell.position.y, spell.ticksApplied);
+        });
+
+        return Utils.hashString(parts.join('|'));
+    }
+
+    getKingTower(team) {
+        return this.towers.find(t => t.team === team && t.isKing && t.alive);
+    }
+
+    // Closest standing tower that belongs to team's opponent
+    findNearestEnemyTower(position, team) {
+        let nearest = null;
+        let nearestDistance = Infinity;
+
+        this.towers.forEach(tower => {
+            if (tower.team === team || !tower.alive) return;
+
+            const distance = position.distanceTo(tower.position);
+            if (distance < nearestDistance) {
+                nearestDistance = distance;
+                nearest = tower;
+            }
+        });
+
+        return nearest;
+    }
+
+    // Closest standing tower or placed building of team's opponent
+    findNearestEnemyBuilding(position, team) {
+        let nearest = this.findNearestEnemyTower(position, team);
+        let nearestDistance = nearest ? position.distanceTo(nearest.position) : Infinity;
+
+        this.buildings.forEach(building => {
+            if (building.team === team || !building.alive) return;
+
+            const distance = position.distanceTo(building.position);
+            if (distance < nearestDistance) {
+                nearestDistance = distance;
+                nearest = building;
+            }
+        });
+
+        return nearest;
+    }
+}
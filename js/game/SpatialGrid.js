@@ -0,0 +1,79 @@
+// Side of one grid cell. Around the size of a vision range, so a typical
+// query only touches a handful of cells.
+const DEFAULT_CELL_SIZE = 64; // px
+
+// Uniform grid over the arena for "what is near this point" questions.
+// Entities (anything with a position and a radius) are bucketed by the cell
+// their centre is in. The simulation rebuilds it whenever units have moved,
+// so targeting and hit detection only look at nearby units instead of
+// every unit in the match.
+export class SpatialGrid {
+    constructor(width, height, cellSize = DEFAULT_CELL_SIZE) {
+        this.cellSize = cellSize;
+        this.columns = Math.max(1, Math.ceil(width / cellSize));
+        this.rows = Math.max(1, Math.ceil(height / cellSize));
+        this.cells = Array.from({ length: this.columns * this.rows }, () => []);
+        this.occupied = []; // indices of non-empty cells, so clearing is cheap
+
+        // Largest radius indexed, so queries can reach bodies whose centre
+        // is in a neighbouring cell
+        this.maxRadius = 0;
+    }
+
+    clear() {
+        this.occupied.forEach(index => {
+            this.cells[index].length = 0;
+        });
+        this.occupied.length = 0;
+        this.maxRadius = 0;
+    }
+
+    insert(entity) {
+        const index = this.rowOf(entity.position.y) * this.columns + this.columnOf(entity.position.x);
+        const cell = this.cells[index];
+        if (cell.length === 0) this.occupied.push(index);
+        cell.push(entity);
+        this.maxRadius = Math.max(this.maxRadius, entity.radius);
+    }
+
+    // Re-index from scratch, keeping the entities' order within each cell
+    rebuild(entities) {
+        this.clear();
+        entities.forEach(entity => {
+            if (entity.alive) this.insert(entity);
+        });
+    }
+
+    // Entities whose body touches the circle at `position`, optionally
+    // narrowed down by `filter`. Results come out in a fixed order for a
+    // given index, so lockstep clients pick the same targets.
+    queryRadius(position, radius, filter = null) {
+        const reach = radius + this.maxRadius;
+        const minColumn = this.columnOf(position.x - reach);
+        const maxColumn = this.columnOf(position.x + reach);
+        const minRow = this.rowOf(position.y - reach);
+        const maxRow = this.rowOf(position.y + reach);
+
+        const found = [];
+        for (let row = minRow; row <= maxRow; row++) {
+            for (let column = minColumn; column <= maxColumn; column++) {
+                this.cells[row * this.columns + column].forEach(entity => {
+                    if (!entity.alive) return;
+                    if (position.distanceTo(entity.position) > radius + entity.radius) return;
+                    if (filter && !filter(entity)) return;
+                    found.push(entity);
+                });
+            }
+        }
+        return found;
+    }
+
+    // Entities outside the arena are kept in its edge cells
+    columnOf(x) {
+        return Math.min(this.columns - 1, Math.max(0, Math.floor(x / this.cellSize)));
+    }
+
+    rowOf(y) {
+        return Math.min(this.rows - 1, Math.max(0, Math.floor(y / this.cellSize)));
+    }
+}
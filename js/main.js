@@ -1,23 +1,49 @@
 // Game main entry point
 import { Game } from './game/Game.js';
 import { UI } from './ui/UI.js';
+import { Replay } from './game/Replay.js';
+import { ReplayViewer } from './ui/ReplayViewer.js';
+import { ProfileScreen } from './ui/ProfileScreen.js';
+import { ResultScreen } from './ui/ResultScreen.js';
+import { HistoryScreen } from './ui/HistoryScreen.js';
+import { Profile } from './game/Profile.js';
+import { arenaFor, outcomeFor, trophyChange, goldReward } from './game/Ladder.js';
+import { OnlineMatch } from './net/OnlineMatch.js';
+import { AI_DIFFICULTIES, DEFAULT_DIFFICULTY, isDifficultyUnlocked } from './ai/difficulties.js';
+
+// How long the result banner shows on the battlefield before the results
+// screen opens over it
+const RESULT_DELAY = 1500; // ms
 
 class CoyaleRash {
     constructor() {
         this.game = null;
         this.ui = null;
+        this.online = null;
+        this.resultTimer = null; // pending results screen of a finished match
+        this.profile = Profile.load();
         this.init();
     }
 
     init() {
         // Initialize UI first
         this.ui = new UI();
+        this.replayViewer = new ReplayViewer();
+        this.profileScreen = new ProfileScreen();
+        this.historyScreen = new HistoryScreen();
+        this.resultScreen = new ResultScreen();
         
         // Set up event listeners
         this.setupEventListeners();
+        this.setupDifficultyPicker();
         
         // Show main menu
         this.showMainMenu();
+
+        // A reloaded tab goes straight back into its online match
+        if (OnlineMatch.loadSession()) {
+            this.playOnline();
+        }
     }
 
     setupEventListeners() {
@@ -26,6 +52,20 @@ class CoyaleRash {
             this.startGame();
         });
 
+        // Two players on one device
+        document.getElementById('hotseat-btn').addEventListener('click', () => {
+            this.startGame('hotseat');
+        });
+
+        // Online match against another player
+        document.getElementById('online-btn').addEventListener('click', () => {
+            this.playOnline();
+        });
+
+        document.getElementById('close-online-modal').addEventListener('click', () => {
+            this.leaveOnline();
+        });
+
         // Instructions button
         document.getElementById('instructions-btn').addEventListener('click', () => {
             this.showInstructions();
@@ -35,9 +75,93 @@ class CoyaleRash {
         document.getElementById('close-instructions').addEventListener('click', () => {
             this.hideInstructions();
         });
+
+        // Replay menu
+        document.getElementById('replay-btn').addEventListener('click', () => {
+            this.showReplayMenu();
+        });
+
+        document.getElementById('close-replay-modal').addEventListener('click', () => {
+            this.hideReplayMenu();
+        });
+
+        document.getElementById('watch-last-replay-btn').addEventListener('click', () => {
+            const replay = Replay.loadLast();
+            if (replay) {
+                this.watchReplay(replay);
+            } else {
+                this.setReplayStatus('No battle recorded yet.');
+            }
+        });
+
+        document.getElementById('replay-file-input').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file) return;
+
+            file.text().then(text => {
+                this.watchReplay(Replay.parse(text));
+            }).catch(error => {
+                this.setReplayStatus(error.message);
+            });
+        });
+
+        // Profile, deck and card levels
+        document.getElementById('profile-btn').addEventListener('click', () => {
+            this.profileScreen.open(this.profile, (profile) => {
+                this.profile = profile;
+                this.updateLadder();
+            });
+        });
+
+        // Pause and fast-forward the match in progress
+        document.getElementById('pause-btn').addEventListener('click', () => {
+            if (this.game) this.game.togglePause();
+        });
+
+        document.getElementById('speed-btn').addEventListener('click', () => {
+            if (this.game) this.game.cycleSpeed();
+        });
+
+        // Trophies and past matches
+        document.getElementById('history-btn').addEventListener('click', () => {
+            this.historyScreen.open(this.profile);
+        });
+    }
+
+    // One option per registered bot
+    setupDifficultyPicker() {
+        const select = document.getElementById('difficulty-select');
+        Object.keys(AI_DIFFICULTIES).forEach(id => {
+            const option = document.createElement('option');
+            option.value = id;
+            select.appendChild(option);
+        });
+        select.value = DEFAULT_DIFFICULTY;
+    }
+
+    // Show trophies and arena, and lock bots the player hasn't reached yet
+    updateLadder() {
+        const trophies = this.profile.trophies;
+        document.getElementById('ladder-status').textContent = `🏆 ${trophies} · ${arenaFor(trophies).name}`;
+
+        const select = document.getElementById('difficulty-select');
+        Array.from(select.options).forEach(option => {
+            const entry = AI_DIFFICULTIES[option.value];
+            const unlocked = isDifficultyUnlocked(option.value, trophies);
+            option.disabled = !unlocked;
+            option.textContent = unlocked ? entry.name : `${entry.name} (🏆 ${entry.unlockTrophies})`;
+        });
+
+        // Fall back to the toughest bot still open
+        if (select.selectedOptions[0].disabled) {
+            const open = Array.from(select.options).filter(option => !option.disabled);
+            select.value = open[open.length - 1].value;
+        }
     }
 
     showMainMenu() {
+        this.updateLadder();
         document.getElementById('game-menu').classList.remove('hidden');
     }
 
@@ -53,22 +177,163 @@ class CoyaleRash {
         document.getElementById('instructions-modal').classList.add('hidden');
     }
 
-    startGame() {
+    showReplayMenu() {
+        this.setReplayStatus('');
+        document.getElementById('replay-modal').classList.remove('hidden');
+    }
+
+    hideReplayMenu() {
+        document.getElementById('replay-modal').classList.add('hidden');
+    }
+
+    setReplayStatus(text) {
+        document.getElementById('replay-status').textContent = text;
+    }
+
+    showOnlineModal(text) {
+        this.setOnlineStatus(text);
+        document.getElementById('online-modal').classList.remove('hidden');
+    }
+
+    hideOnlineModal() {
+        document.getElementById('online-modal').classList.add('hidden');
+    }
+
+    setOnlineStatus(text) {
+        document.getElementById('online-status').textContent = text;
+    }
+
+    // Connect to the server that served the page and wait for an opponent
+    playOnline() {
+        this.showOnlineModal('Connecting...');
+
+        const online = new OnlineMatch(this.profile.loadout);
+        online.onStatus = (text) => this.setOnlineStatus(text);
+        online.onStart = () => {
+            this.hideOnlineModal();
+            this.startGame('online', online);
+        };
+        online.onEnd = (reason) => {
+            this.resetGame();
+            this.showOnlineModal(reason);
+        };
+
+        this.online = online;
+        online.connect();
+    }
+
+    leaveOnline() {
+        if (this.online) {
+            this.online.leave();
+            this.online = null;
+        }
+        this.hideOnlineModal();
+    }
+
+    // Play a replay back, or say why it can't be in the replay menu
+    watchReplay(replay) {
+        let game;
+        try {
+            game = new Game({ replay });
+        } catch (error) {
+            this.showReplayMenu();
+            this.setReplayStatus(`Could not play this replay: ${error.message}`);
+            return;
+        }
+
+        this.hideReplayMenu();
         this.hideMainMenu();
+
+        this.game = game;
+        this.game.start();
+
+        this.replayViewer.open(this.game, () => this.resetGame());
+    }
+
+    startGame(mode = 'bot', online = null) {
+        this.hideMainMenu();
+        document.getElementById('top-player-ui').classList.toggle('hidden', mode !== 'hotseat');
         
-        // Initialize the game
-        this.game = new Game();
+        // Initialize the game against the chosen bot, or a second player
+        const difficulty = document.getElementById('difficulty-select').value;
+        const theme = arenaFor(this.profile.trophies).theme;
+        const game = new Game({ mode, difficulty, online, profile: this.profile, theme });
+        game.onGameOver = (result) => {
+            const reward = this.recordMatch(game, result);
+            this.resultTimer = setTimeout(() => {
+                this.resultTimer = null;
+                this.showResults(game, result, reward);
+            }, RESULT_DELAY);
+        };
+        this.game = game;
         this.game.start();
         
         // Connect UI to game
         this.ui.setGame(this.game);
     }
 
+    // Results screen for a finished match. Every way out tears the match
+    // down first so the next one starts from a clean page.
+    showResults(game, result, reward) {
+        this.resultScreen.open(game, result, reward, {
+            onRematch: () => {
+                this.resetGame();
+                if (game.mode === 'online') {
+                    this.playOnline();
+                } else {
+                    this.startGame(game.mode);
+                }
+            },
+            onWatchReplay: () => {
+                const replay = Replay.fromSimulation(game.simulation);
+                this.resetGame();
+                this.watchReplay(replay);
+            },
+            onMainMenu: () => this.resetGame()
+        });
+    }
+
+    // Add a finished match to the profile. Only matches against a bot or
+    // an online opponent move trophies and pay gold. Returns the
+    // { trophies, gold } won, or null for a match that doesn't count.
+    recordMatch(game, result) {
+        const team = game.team;
+        const opponent = team === 'player' ? 'enemy' : 'player';
+        const outcome = outcomeFor(result, team);
+        const ranked = game.mode !== 'hotseat';
+        const change = ranked ? trophyChange(outcome, this.profile.trophies) : 0;
+        const gold = ranked ? goldReward(outcome, result.crowns[team]) : 0;
+
+        this.profile.recordMatch({
+            date: Date.now(),
+            mode: game.mode,
+            difficulty: game.mode === 'bot' ? game.difficulty : null,
+            outcome,
+            reason: result.reason,
+            crowns: { ours: result.crowns[team], theirs: result.crowns[opponent] },
+            duration: result.duration,
+            decks: {
+                ours: game.simulation.decks[team].cards.slice(),
+                theirs: game.simulation.decks[opponent].cards.slice()
+            },
+            trophyChange: change,
+            gold
+        });
+        return ranked ? { trophies: change, gold } : null;
+    }
+
     resetGame() {
+        clearTimeout(this.resultTimer);
+        this.resultTimer = null;
         if (this.game) {
-            this.game.stop();
+            this.game.destroy();
             this.game = null;
         }
+        this.online = null;
+        this.resultScreen.close();
+        this.ui.setGame(null);
+        document.getElementById('top-player-ui').classList.add('hidden');
+        document.getElementById('pace-controls').classList.add('hidden');
         this.showMainMenu();
     }
 }
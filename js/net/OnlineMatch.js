@@ -0,0 +1,254 @@
+import { Simulation } from '../game/Simulation.js';
+import { SOCKET_PATH, HASH_BATCH } from './protocol.js';
+
+// Per-tab, so two tabs of one browser can play each other
+const SESSION_KEY = 'coyalerash.onlineSession';
+
+const RECONNECT_INTERVAL = 1000; // ms
+const MAX_RECONNECT_ATTEMPTS = 30;
+
+// Client side of an online match, played in deterministic lockstep. Both
+// clients run the same seeded simulation; every placement goes to the
+// server, which stamps it with the tick it applies on and sends it to both
+// clients in its next frame. A client may only simulate ticks the server
+// has closed, so both apply the same commands on the same ticks. State
+// hashes are reported every few ticks so the server can spot a desync.
+export class OnlineMatch {
+    // loadout: the deck we bring and its card levels, { deck, levels }
+    constructor(loadout, url = OnlineMatch.defaultUrl()) {
+        this.url = url;
+        this.loadout = loadout;
+        this.socket = null;
+        this.connected = false;
+        this.closed = false; // left for good; no more reconnecting
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+
+        // Match state, filled in once the server seats us
+        this.matchId = null;
+        this.team = null;
+        this.simulation = null;
+        this.confirmedTick = -1; // every command up to this tick is known
+        this.commands = []; // scheduled commands not applied yet, in order
+        this.hashes = []; // [tick, hash] pairs not reported yet
+        this.opponentConnected = false;
+
+        // Callbacks
+        this.onStatus = null; // (text) while connecting or matchmaking
+        this.onStart = null; // () once the match is ready to play
+        this.onEnd = null; // (reason) when the match is aborted
+    }
+
+    static defaultUrl() {
+        const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
+        return `${protocol}//${location.host}${SOCKET_PATH}`;
+    }
+
+    connect() {
+        this.socket = new WebSocket(this.url);
+        this.socket.addEventListener('open', () => this.handleOpen());
+        this.socket.addEventListener('message', (e) => this.handleMessage(JSON.parse(e.data)));
+        this.socket.addEventListener('close', () => this.handleClose());
+    }
+
+    handleOpen() {
+        this.connected = true;
+        this.reconnectAttempts = 0;
+
+        const session = OnlineMatch.loadSession();
+        if (session) {
+            this.setStatus('Rejoining match...');
+            this.send({ type: 'rejoin', matchId: session.matchId, token: session.token });
+        } else {
+            this.setStatus('Looking for an opponent...');
+            this.send({ type: 'join', deck: this.loadout.deck, levels: this.loadout.levels });
+        }
+    }
+
+    // Keep trying to get back into the match; the server holds our seat
+    handleClose() {
+        this.connected = false;
+        this.socket = null;
+        if (this.closed) return;
+
+        if (!this.matchId) {
+            this.abort('Could not reach the game server.');
+            return;
+        }
+        if (this.reconnectAttempts >= MAX_RECONNECT_ATTEMPTS) {
+            this.abort('Lost connection to the game server.');
+            return;
+        }
+
+        this.reconnectAttempts++;
+        this.reconnectTimer = setTimeout(() => this.connect(), RECONNECT_INTERVAL);
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case 'queued':
+                this.setStatus('Waiting for an opponent...');
+                break;
+            case 'start':
+                this.handleStart(message);
+                break;
+            case 'frame':
+                this.commands.push(...message.commands);
+                this.confirmedTick = message.tick;
+                break;
+            case 'opponent':
+                this.opponentConnected = message.connected;
+                break;
+            case 'desync':
+                this.abort(`The match went out of sync at tick ${message.tick} and was stopped.`);
+                break;
+            case 'forfeit':
+                if (this.simulation && !this.simulation.over) {
+                    this.simulation.finish(message.winner, 'forfeit');
+                }
+                this.leave();
+                break;
+            case 'error':
+                // Our saved match is gone; look for a new one instead
+                if (message.expired && !this.matchId) {
+                    OnlineMatch.clearSession();
+                    this.handleOpen();
+                } else {
+                    this.abort(message.message);
+                }
+                break;
+        }
+    }
+
+    // Sent when we are seated and again after every reconnect, with every
+    // command so far. A tab that kept its simulation carries on from where it
+    // is; a reloaded tab re-simulates the match from tick 0.
+    handleStart(message) {
+        OnlineMatch.saveSession({ matchId: message.matchId, token: message.token });
+        this.opponentConnected = message.opponentConnected;
+
+        const fresh = !this.simulation || this.matchId !== message.matchId;
+        if (fresh) {
+            this.matchId = message.matchId;
+            this.team = message.team;
+            this.simulation = new Simulation({
+                width: message.arena.width,
+                height: message.arena.height,
+                seed: message.seed,
+                decks: message.decks,
+                levels: message.levels
+            });
+            this.hashes = [];
+        }
+
+        this.commands = message.commands.filter(command => command.tick >= this.simulation.tick);
+        this.confirmedTick = message.tick;
+
+        if (fresh && this.onStart) {
+            this.onStart();
+        }
+    }
+
+    // Whether the next tick has been closed by the server
+    canStep() {
+        return this.simulation !== null && !this.simulation.over &&
+               this.simulation.tick <= this.confirmedTick;
+    }
+
+    // Ticks closed by the server but not simulated yet
+    get backlog() {
+        return this.simulation ? this.confirmedTick - this.simulation.tick + 1 : 0;
+    }
+
+    // Apply this tick's commands, advance one tick and report its hash.
+    // Returns the commands that were accepted.
+    step() {
+        const simulation = this.simulation;
+        const applied = [];
+
+        while (this.commands.length > 0 && this.commands[0].tick <= simulation.tick) {
+            const command = this.commands.shift();
+            if (simulation.applyCommand(command)) {
+                applied.push(command);
+            }
+        }
+
+        simulation.step();
+        this.hashes.push([simulation.tick, simulation.stateHash()]);
+
+        if (this.hashes.length >= HASH_BATCH || simulation.over) {
+            this.send({ type: 'hashes', hashes: this.hashes });
+            this.hashes = [];
+        }
+
+        if (simulation.over) {
+            this.send({ type: 'over', tick: simulation.tick });
+            this.leave();
+        }
+
+        return applied;
+    }
+
+    // Send a placement to the server, which schedules it INPUT_DELAY ticks
+    // ahead. It only takes effect once it comes back in a frame.
+    submit(command) {
+        if (!this.connected || !this.simulation || this.simulation.over) return false;
+
+        this.send({
+            type: 'command',
+            command: { type: command.type, card: command.card, position: command.position }
+        });
+        return true;
+    }
+
+    send(message) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    setStatus(text) {
+        if (this.onStatus) this.onStatus(text);
+    }
+
+    // Stop playing online for good and forget the saved session
+    leave() {
+        this.closed = true;
+        clearTimeout(this.reconnectTimer);
+        OnlineMatch.clearSession();
+
+        if (this.socket) {
+            this.socket.close();
+        }
+    }
+
+    abort(reason) {
+        this.leave();
+        if (this.onEnd) this.onEnd(reason);
+    }
+
+    static loadSession() {
+        try {
+            const text = sessionStorage.getItem(SESSION_KEY);
+            return text ? JSON.parse(text) : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    static saveSession(session) {
+        try {
+            sessionStorage.setItem(SESSION_KEY, JSON.stringify(session));
+        } catch (e) {
+            // Without storage a reload cannot rejoin, but the match still works
+        }
+    }
+
+    static clearSession() {
+        try {
+            sessionStorage.removeItem(SESSION_KEY);
+        } catch (e) {
+            // Nothing saved
+        }
+    }
+}
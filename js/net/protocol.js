@@ -0,0 +1,26 @@
+// Settings shared by the browser client and the bundled Node server
+// (server/server.js). Both sides must agree on them for lockstep to work.
+
+export const DEFAULT_PORT = 8080;
+export const SOCKET_PATH = '/ws';
+
+// Every online match is played on the same arena size, whatever the
+// window size, so both simulations are identical
+export const ARENA = { width: 800, height: 500 };
+
+// Ticks between submitting a command and the tick it is scheduled for.
+// Hides network latency: the command usually reaches the server, and the
+// server's frame reaches both clients, before that tick is simulated.
+export const INPUT_DELAY = 4;
+
+// How often the server closes ticks and sends them out as a frame
+export const FRAME_INTERVAL = 50; // ms
+
+// Ticks of state hashes a client collects before reporting them
+export const HASH_BATCH = 15;
+
+// Pause between matchmaking and tick 0, so both clients are ready
+export const START_DELAY = 2000; // ms
+
+// How long a dropped player's seat is held before the match is forfeited
+export const RECONNECT_TIMEOUT = 30000; // ms
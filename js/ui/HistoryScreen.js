@@ -0,0 +1,100 @@
+import { cards } from '../cards/CardRegistry.js';
+import { AI_DIFFICULTIES } from '../ai/difficulties.js';
+import { arenaFor, nextArena } from '../game/Ladder.js';
+
+const OUTCOME_TITLES = {
+    win: 'Victory',
+    loss: 'Defeat',
+    draw: 'Draw'
+};
+
+// Match history modal: trophies and arena at the top, then the profile's
+// recent matches, newest first, with both decks.
+export class HistoryScreen {
+    constructor() {
+        this.modal = document.getElementById('history-modal');
+        this.ladderLabel = document.getElementById('history-ladder');
+        this.list = document.getElementById('history-list');
+
+        document.getElementById('close-history-modal').addEventListener('click', () => this.close());
+    }
+
+    open(profile) {
+        this.render(profile);
+        this.modal.classList.remove('hidden');
+    }
+
+    close() {
+        this.modal.classList.add('hidden');
+    }
+
+    render(profile) {
+        const arena = arenaFor(profile.trophies);
+        const next = nextArena(profile.trophies);
+        this.ladderLabel.textContent = `🏆 ${profile.trophies} · ${arena.name}` +
+            (next ? ` · ${next.name} at 🏆 ${next.trophies}` : '');
+
+        this.list.innerHTML = '';
+        if (profile.history.length === 0) {
+            this.list.textContent = 'No matches played yet.';
+            return;
+        }
+        profile.history.forEach(entry => this.list.appendChild(this.createRow(entry)));
+    }
+
+    // Built from text nodes only: entries can come from an imported file
+    createRow(entry) {
+        const row = document.createElement('div');
+        row.className = `history-row ${entry.outcome}`;
+
+        const change = entry.trophyChange > 0 ? `+${entry.trophyChange}` : `${entry.trophyChange}`;
+        const outcome = this.createLine('history-summary', [
+            OUTCOME_TITLES[entry.outcome],
+            `👑 ${entry.crowns.ours} - ${entry.crowns.theirs}`,
+            this.describeOpponent(entry),
+            `⏱️ ${this.formatDuration(entry.duration)}`,
+            `🏆 ${change}`,
+            `💰 +${entry.gold || 0}`,
+            new Date(entry.date).toLocaleString()
+        ]);
+        outcome.firstChild.className = 'history-outcome';
+        outcome.lastChild.className = 'history-date';
+        row.appendChild(outcome);
+
+        row.appendChild(this.createLine('history-decks', [
+            this.describeDeck(entry.decks.ours),
+            'vs',
+            this.describeDeck(entry.decks.theirs)
+        ]));
+        return row;
+    }
+
+    // A row of spans, one per text
+    createLine(className, texts) {
+        const line = document.createElement('div');
+        line.className = className;
+        texts.forEach(text => {
+            const span = document.createElement('span');
+            span.textContent = text;
+            line.appendChild(span);
+        });
+        return line;
+    }
+
+    describeOpponent(entry) {
+        if (entry.mode === 'online') return 'Online';
+        if (entry.mode === 'hotseat') return 'Local';
+        const bot = AI_DIFFICULTIES[entry.difficulty];
+        return `${bot ? bot.name : entry.difficulty} bot`;
+    }
+
+    // Card emoji, or the id for a card no longer in the game
+    describeDeck(deck) {
+        return deck.map(cardId => cards.has(cardId) ? cards.get(cardId).visuals.emoji : cardId).join(' ');
+    }
+
+    formatDuration(duration) {
+        const seconds = Math.floor(duration);
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+}
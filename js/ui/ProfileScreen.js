@@ -0,0 +1,152 @@
+import { cards } from '../cards/CardRegistry.js';
+import { Profile } from '../game/Profile.js';
+
+// Profile modal: gold, the deck, every card with its level and upgrade
+// button, and import/export of the whole profile as a JSON file. Click a
+// card outside the deck, then a deck card, to swap them.
+export class ProfileScreen {
+    constructor() {
+        this.profile = null;
+        this.onChange = null; // (profile) after an import replaces it
+        this.swapIn = null; // collection card picked to go into the deck
+
+        this.modal = document.getElementById('profile-modal');
+        this.goldLabel = document.getElementById('profile-gold');
+        this.deckElement = document.getElementById('profile-deck');
+        this.collectionElement = document.getElementById('profile-collection');
+        this.status = document.getElementById('profile-status');
+
+        this.setupControls();
+    }
+
+    setupControls() {
+        document.getElementById('profile-export-btn').addEventListener('click', () => this.download());
+
+        document.getElementById('profile-file-input').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file) return;
+
+            file.text().then(text => {
+                const profile = Profile.parse(text);
+                profile.save();
+                this.profile = profile;
+                if (this.onChange) this.onChange(profile);
+                this.render();
+                this.setStatus('Profile imported.');
+            }).catch(error => {
+                this.setStatus(error.message);
+            });
+        });
+
+        document.getElementById('close-profile-modal').addEventListener('click', () => this.close());
+    }
+
+    open(profile, onChange) {
+        this.profile = profile;
+        this.onChange = onChange;
+        this.swapIn = null;
+        this.setStatus('');
+        this.render();
+        this.modal.classList.remove('hidden');
+    }
+
+    close() {
+        this.modal.classList.add('hidden');
+        this.profile = null;
+        this.onChange = null;
+    }
+
+    setStatus(text) {
+        this.status.textContent = text;
+    }
+
+    render() {
+        const profile = this.profile;
+        this.goldLabel.textContent = `💰 ${profile.gold}`;
+
+        this.deckElement.innerHTML = '';
+        profile.deck.forEach(cardId => {
+            const tile = this.createTile(cardId);
+            tile.addEventListener('click', () => this.swap(cardId));
+            this.deckElement.appendChild(tile);
+        });
+
+        this.collectionElement.innerHTML = '';
+        Profile.collectableIds()
+            .filter(cardId => !profile.deck.includes(cardId))
+            .forEach(cardId => {
+                const tile = this.createTile(cardId);
+                tile.classList.toggle('selected', cardId === this.swapIn);
+                tile.addEventListener('click', () => {
+                    this.swapIn = this.swapIn === cardId ? null : cardId;
+                    this.render();
+                });
+                this.collectionElement.appendChild(tile);
+            });
+    }
+
+    // One card with its level, leveled stats and upgrade button
+    createTile(cardId) {
+        const level = this.profile.levelOf(cardId);
+        const card = cards.getLeveled(cardId, level);
+        const cost = this.profile.upgradeCost(cardId);
+
+        const tile = document.createElement('div');
+        tile.className = 'profile-card';
+        tile.innerHTML = `
+            <div class="card-cost">${card.cost}</div>
+            <div class="card-image">${card.visuals.emoji}</div>
+            <div class="card-name">${card.name}</div>
+            <div class="profile-card-level">Lv ${level}</div>
+            <div class="profile-card-stats">${this.describeStats(card)}</div>
+        `;
+
+        const upgrade = document.createElement('button');
+        upgrade.className = 'profile-upgrade-btn';
+        upgrade.textContent = cost === null ? 'Max' : `⬆️ ${cost}`;
+        upgrade.disabled = !this.profile.canUpgrade(cardId);
+        upgrade.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (this.profile.upgrade(cardId)) {
+                this.render();
+            }
+        });
+        tile.appendChild(upgrade);
+
+        return tile;
+    }
+
+    describeStats(card) {
+        const stats = card.stats;
+        if (card.type === 'spell') {
+            return card.spell.affects === 'allies' ? '' : `💥 ${stats.damage}`;
+        }
+        return `❤️ ${stats.health} ⚔️ ${stats.damage}`;
+    }
+
+    // Put the picked collection card in place of a deck card
+    swap(cardId) {
+        if (!this.swapIn) {
+            this.setStatus('Pick a card below first, then the deck card it replaces.');
+            return;
+        }
+
+        const deck = this.profile.deck.map(id => id === cardId ? this.swapIn : id);
+        this.profile.setDeck(deck);
+        this.swapIn = null;
+        this.setStatus('');
+        this.render();
+    }
+
+    download() {
+        if (!this.profile) return;
+
+        const blob = new Blob([this.profile.serialize()], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = 'coyalerash-profile.json';
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+}
@@ -0,0 +1,110 @@
+import { Replay } from '../game/Replay.js';
+import { TICK_RATE } from '../game/Simulation.js';
+
+// Playback controls for a Game running in replay mode
+export class ReplayViewer {
+    constructor() {
+        this.game = null;
+        this.onExit = null;
+        this.frameRequest = null;
+
+        this.controls = document.getElementById('replay-controls');
+        this.playButton = document.getElementById('replay-play-btn');
+        this.seekBar = document.getElementById('replay-seek');
+        this.timeLabel = document.getElementById('replay-time');
+        this.speedSelect = document.getElementById('replay-speed');
+
+        this.setupControls();
+    }
+
+    setupControls() {
+        this.playButton.addEventListener('click', () => this.togglePlay());
+
+        this.seekBar.addEventListener('input', () => {
+            if (this.game) {
+                this.game.seek(parseInt(this.seekBar.value, 10));
+            }
+        });
+
+        this.speedSelect.addEventListener('change', () => {
+            if (this.game) {
+                this.game.setSpeed(parseFloat(this.speedSelect.value));
+            }
+        });
+
+        document.getElementById('replay-download-btn').addEventListener('click', () => this.download());
+
+        document.getElementById('replay-exit-btn').addEventListener('click', () => {
+            const onExit = this.onExit;
+            this.close();
+            if (onExit) onExit();
+        });
+    }
+
+    open(game, onExit) {
+        this.game = game;
+        this.onExit = onExit;
+
+        this.seekBar.max = game.replayPlayer.totalTicks;
+        this.seekBar.value = 0;
+        this.speedSelect.value = '1';
+        game.setSpeed(1);
+
+        document.getElementById('game-ui').classList.add('hidden');
+        this.controls.classList.remove('hidden');
+
+        this.refresh();
+    }
+
+    close() {
+        if (this.frameRequest) {
+            cancelAnimationFrame(this.frameRequest);
+            this.frameRequest = null;
+        }
+
+        this.game = null;
+        this.onExit = null;
+
+        this.controls.classList.add('hidden');
+        document.getElementById('game-ui').classList.remove('hidden');
+    }
+
+    togglePlay() {
+        if (!this.game) return;
+
+        // Pressing play on the last frame starts over
+        if (this.game.paused && this.game.replayPlayer.finished) {
+            this.game.seek(0);
+        }
+        this.game.setPaused(!this.game.paused);
+    }
+
+    // Keep the controls in sync with the playback position
+    refresh() {
+        if (!this.game) return;
+
+        const simulation = this.game.simulation;
+        this.seekBar.value = simulation.tick;
+        this.playButton.textContent = this.game.paused ? '▶️' : '⏸️';
+        this.timeLabel.textContent =
+            `${this.formatTicks(simulation.tick)} / ${this.formatTicks(this.game.replayPlayer.totalTicks)}`;
+
+        this.frameRequest = requestAnimationFrame(() => this.refresh());
+    }
+
+    formatTicks(ticks) {
+        const seconds = Math.floor(ticks / TICK_RATE);
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+
+    download() {
+        if (!this.game) return;
+
+        const blob = new Blob([Replay.serialize(this.game.replay)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `coyalerash-replay-${this.game.replay.seed}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+}
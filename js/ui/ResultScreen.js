@@ -0,0 +1,127 @@
+import { cards } from '../cards/CardRegistry.js';
+import { RESULT_REASONS } from '../game/Game.js';
+
+// Crown towers are not cards, so they get their names here
+const TOWER_NAMES = {
+    king: { name: 'King Tower', emoji: '🏰' },
+    princess: { name: 'Princess Tower', emoji: '🗼' }
+};
+
+// Every side starts with these towers
+const TOWER_KINDS = ['king', 'princess', 'princess'];
+
+// End-of-match overlay: the result, then for each side its towers' health,
+// elixir spent and leaked, its MVP and the damage each card dealt, with
+// Rematch, Watch Replay and Main Menu buttons.
+export class ResultScreen {
+    constructor() {
+        this.actions = null; // { onRematch, onWatchReplay, onMainMenu }
+
+        this.modal = document.getElementById('result-modal');
+        this.title = document.getElementById('result-title');
+        this.summary = document.getElementById('result-summary');
+        this.sides = document.getElementById('result-sides');
+
+        this.setupControls();
+    }
+
+    setupControls() {
+        const buttons = {
+            'rematch-btn': 'onRematch',
+            'result-replay-btn': 'onWatchReplay',
+            'result-menu-btn': 'onMainMenu'
+        };
+        Object.entries(buttons).forEach(([id, action]) => {
+            document.getElementById(id).addEventListener('click', () => {
+                const actions = this.actions;
+                this.close();
+                if (actions) actions[action]();
+            });
+        });
+    }
+
+    // reward is { trophies, gold } won, or null for a match that doesn't count
+    open(game, result, reward, actions) {
+        this.actions = actions;
+
+        const team = game.team;
+        const opponent = team === 'player' ? 'enemy' : 'player';
+        const hotseat = game.mode === 'hotseat';
+        const names = hotseat
+            ? { player: 'Blue', enemy: 'Red' }
+            : { [team]: 'You', [opponent]: 'Opponent' };
+
+        if (!result.winner) {
+            this.title.textContent = 'Draw';
+        } else if (hotseat) {
+            this.title.textContent = `${names[result.winner]} Wins!`;
+        } else {
+            this.title.textContent = result.winner === team ? 'Victory!' : 'Defeat!';
+        }
+
+        const rewards = reward === null ? ''
+            : ` · 🏆 ${reward.trophies > 0 ? '+' : ''}${reward.trophies} · 💰 +${reward.gold}`;
+        this.summary.textContent =
+            `👑 ${result.crowns[team]} - ${result.crowns[opponent]} · ${RESULT_REASONS[result.reason]}${rewards}`;
+
+        this.sides.innerHTML = '';
+        [team, opponent].forEach(side => {
+            this.sides.appendChild(this.createSide(names[side], game.simulation.stats.teams[side]));
+        });
+
+        this.modal.classList.remove('hidden');
+    }
+
+    close() {
+        this.modal.classList.add('hidden');
+        this.actions = null;
+    }
+
+    createSide(name, stats) {
+        const side = document.createElement('div');
+        side.className = 'result-side';
+
+        const mvp = stats.mvp
+            ? `${this.describeCard(stats.mvp.card)} Lv ${stats.mvp.level} · ${Math.round(stats.mvp.damage)}`
+            : '—';
+        side.innerHTML = `
+            <h3>${name}</h3>
+            <p>${this.describeTowers(stats.towers)}</p>
+            <p>💧 ${stats.elixirSpent} spent · ${stats.elixirLeaked} leaked</p>
+            <p>⭐ MVP: ${mvp}</p>
+        `;
+
+        const damage = document.createElement('div');
+        damage.className = 'result-damage';
+        Object.entries(stats.damage)
+            .sort((a, b) => b[1] - a[1])
+            .forEach(([cardId, amount]) => {
+                const row = document.createElement('div');
+                row.innerHTML = `<span>${this.describeCard(cardId)}</span><span>⚔️ ${Math.round(amount)}</span>`;
+                damage.appendChild(row);
+            });
+        side.appendChild(damage);
+
+        return side;
+    }
+
+    // Health left on each starting tower; destroyed towers show 💥
+    describeTowers(towers) {
+        const standing = towers.slice();
+        return TOWER_KINDS.map(kind => {
+            const index = standing.findIndex(tower => tower.kind === kind);
+            if (index === -1) return `${TOWER_NAMES[kind].emoji} 💥`;
+
+            const tower = standing.splice(index, 1)[0];
+            return `${TOWER_NAMES[kind].emoji} ${Math.ceil(tower.health)}`;
+        }).join(' ');
+    }
+
+    describeCard(cardId) {
+        const tower = TOWER_NAMES[cardId];
+        if (tower) return `${tower.emoji} ${tower.name}`;
+
+        const card = cards.get(cardId);
+        return `${card.visuals.emoji} ${card.name}`;
+    }
+}
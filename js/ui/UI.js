@@ -1,21 +1,70 @@
+import { cards } from '../cards/CardRegistry.js';
+import { EFFECT_TYPES } from '../entities/StatusEffects.js';
+
+const TARGET_LABELS = { ground: 'Ground', air: 'Air', buildings: 'Buildings' };
+
 export class UI {
     constructor() {
         this.game = null;
         this.cards = [];
-        this.selectedCard = null;
+        
+        // Card element being dragged, per team
+        this.selectedCards = {};
         this.setupCardInteractions();
+        this.setupGlobalListeners();
     }
 
     setGame(game) {
         this.game = game;
+        if (game) {
+            game.onHandChanged = (team) => this.setupHand(team);
+        }
+        
+        // The bottom hand and header elixir belong to whichever side this
+        // screen plays; the top hand is only used in hotseat mode
+        const team = game ? game.team : 'player';
+        const topTeam = game && game.mode === 'hotseat' ? 'enemy' : '';
+        document.querySelector('#game-ui .card-deck').dataset.team = team;
+        document.querySelector('#game-header .elixir-display').dataset.team = team;
+        document.querySelector('#top-player-ui .card-deck').dataset.team = topTeam;
+        document.querySelector('#top-player-ui .elixir-display').dataset.team = topTeam;
+        
+        this.setupCardInteractions();
+    }
+
+    // Teams with a hand on screen: the player, plus the top player in hotseat
+    get teams() {
+        return this.game ? this.game.teams : ['player'];
     }
 
+    // Build every hand from the game's decks
     setupCardInteractions() {
-        // Get all cards
-        this.cards = Array.from(document.querySelectorAll('.card'));
+        document.querySelectorAll('.card-deck').forEach(deckElement => {
+            this.setupHand(deckElement.dataset.team);
+        });
+    }
+
+    // Build one team's current hand and next-card preview from its deck and
+    // wire up each card. Called again after each of that team's placements.
+    setupHand(team) {
+        const deckElement = document.querySelector(`.card-deck[data-team="${team}"]`);
+        if (!deckElement) return;
+        
+        deckElement.innerHTML = '';
+        this.endCardDrag(team);
+        this.hideCardTooltip();
+        this.cards = this.cards.filter(card => card.dataset.team !== team);
+        
+        const deck = this.game && this.teams.includes(team) ? this.game.simulation.decks[team] : null;
+        if (!deck) return;
+        
+        const handCards = deck.hand.map(cardId => this.createCardElement(cardId, team));
+        handCards.forEach(card => deckElement.appendChild(card));
+        deckElement.appendChild(this.createNextCardElement(deck.next));
+        this.cards.push(...handCards);
         
         // Add event listeners to each card
-        this.cards.forEach(card => {
+        handCards.forEach(card => {
             // Mouse events
             card.addEventListener('mousedown', (e) => this.handleCardMouseDown(e, card));
             card.addEventListener('dragstart', (e) => e.preventDefault()); // Prevent default drag
@@ -27,109 +76,147 @@ export class UI {
             card.addEventListener('mouseenter', () => this.handleCardHover(card));
             card.addEventListener('mouseleave', () => this.handleCardLeave(card));
         });
+    }
+
+    createCardElement(cardId, team) {
+        const cardData = cards.get(cardId);
         
+        const card = document.createElement('div');
+        card.className = 'card';
+        card.dataset.unit = cardId;
+        card.dataset.team = team;
+        card.innerHTML = `
+            <div class="card-cost">${cardData.cost}</div>
+            <div class="card-image">${cardData.visuals.emoji}</div>
+            <div class="card-name">${cardData.name}</div>
+        `;
+        return card;
+    }
+
+    createNextCardElement(cardId) {
+        const next = document.createElement('div');
+        next.className = 'next-card';
+        next.innerHTML = `
+            <div class="next-card-label">Next</div>
+            <div class="card-image">${cards.get(cardId).visuals.emoji}</div>
+        `;
+        return next;
+    }
+
+    setupGlobalListeners() {
         // Global mouse/touch events for dragging
         document.addEventListener('mousemove', (e) => this.handleGlobalMouseMove(e));
         document.addEventListener('mouseup', (e) => this.handleGlobalMouseUp(e));
         document.addEventListener('touchmove', (e) => this.handleGlobalTouchMove(e));
         document.addEventListener('touchend', (e) => this.handleGlobalTouchEnd(e));
+        document.addEventListener('touchcancel', (e) => this.handleGlobalTouchEnd(e));
     }
 
     handleCardMouseDown(e, card) {
         e.preventDefault();
-        this.startCardDrag(card);
+        this.startCardDrag(card, null);
     }
 
     handleCardTouchStart(e, card) {
         e.preventDefault();
-        this.startCardDrag(card);
+        this.startCardDrag(card, e.changedTouches[0].identifier);
     }
 
-    startCardDrag(card) {
-        if (!this.game) return;
+    startCardDrag(card, touchId) {
+        if (!this.game || this.game.paused) return;
         
+        const team = card.dataset.team;
         const unitType = card.dataset.unit;
-        const unitData = this.game.getUnitData(unitType);
+        const unitData = cards.get(unitType);
         
-        // Check if player has enough elixir
-        if (this.game.playerElixir < unitData.cost) {
+        // Check if this player has enough elixir
+        if (this.game.simulation.elixir[team] < unitData.cost) {
             this.showInsufficientElixir(card);
             return;
         }
         
-        // Clear previous selection
-        this.clearCardSelection();
+        // Clear this player's previous selection
+        this.endCardDrag(team);
         
         // Select this card
-        this.selectedCard = card;
+        this.selectedCards[team] = card;
+        card.dataset.touchId = touchId === null ? '' : touchId;
         card.classList.add('selected');
         
         // Start dragging in game
-        this.game.selectCard(unitType);
+        this.game.selectCard(unitType, team, touchId);
         
         // Add visual feedback
         this.addDragFeedback();
     }
 
+    // Card being dragged by the mouse, or by a given touch
+    findDraggedCard(touchId) {
+        const key = touchId === null ? '' : String(touchId);
+        return Object.values(this.selectedCards).find(card => card && card.dataset.touchId === key) || null;
+    }
+
     handleGlobalMouseMove(e) {
-        if (this.selectedCard && this.game) {
-            this.updateDragPreview(e.clientX, e.clientY);
+        const card = this.findDraggedCard(null);
+        if (card && this.game) {
+            this.updateDragPreview(card, e.clientX, e.clientY);
         }
     }
 
     handleGlobalTouchMove(e) {
-        if (this.selectedCard && this.game && e.touches.length > 0) {
-            e.preventDefault();
-            const touch = e.touches[0];
-            this.updateDragPreview(touch.clientX, touch.clientY);
-        }
+        if (!this.game) return;
+        
+        Array.from(e.changedTouches).forEach(touch => {
+            const card = this.findDraggedCard(touch.identifier);
+            if (card) {
+                e.preventDefault();
+                this.updateDragPreview(card, touch.clientX, touch.clientY);
+            }
+        });
     }
 
     handleGlobalMouseUp(e) {
-        this.endCardDrag();
+        const card = this.findDraggedCard(null);
+        if (card) {
+            this.endCardDrag(card.dataset.team);
+        }
     }
 
     handleGlobalTouchEnd(e) {
-        this.endCardDrag();
+        Array.from(e.changedTouches).forEach(touch => {
+            const card = this.findDraggedCard(touch.identifier);
+            if (card) {
+                this.endCardDrag(card.dataset.team);
+            }
+        });
     }
 
-    updateDragPreview(clientX, clientY) {
-        // Update cursor position for game
-        const canvas = document.getElementById('game-canvas');
-        const rect = canvas.getBoundingClientRect();
-        
-        const canvasX = clientX - rect.left;
-        const canvasY = clientY - rect.top;
-        
-        // Check if within valid placement area
-        const isValidPlacement = canvasY > canvas.height / 2;
+    updateDragPreview(card, clientX, clientY) {
+        const position = this.game.clientToArena(clientX, clientY);
         
         // Update card visual feedback
-        if (isValidPlacement) {
-            this.selectedCard.style.borderColor = '#27ae60';
+        if (this.game.canPlace(card.dataset.team, card.dataset.unit, position)) {
+            card.style.borderColor = '#27ae60';
         } else {
-            this.selectedCard.style.borderColor = '#e74c3c';
+            card.style.borderColor = '#e74c3c';
         }
     }
 
-    endCardDrag() {
-        if (this.selectedCard) {
+    endCardDrag(team) {
+        const card = this.selectedCards[team];
+        if (card) {
             // Reset card visuals
-            this.selectedCard.classList.remove('selected');
-            this.selectedCard.style.borderColor = '';
+            card.classList.remove('selected');
+            card.style.borderColor = '';
             
-            this.selectedCard = null;
+            this.selectedCards[team] = null;
+        }
+        
+        if (!Object.values(this.selectedCards).some(Boolean)) {
             this.removeDragFeedback();
         }
     }
 
-    clearCardSelection() {
-        this.cards.forEach(card => {
-            card.classList.remove('selected');
-            card.style.borderColor = '';
-        });
-    }
-
     addDragFeedback() {
         document.body.style.cursor = 'grabbing';
         
@@ -146,7 +233,7 @@ export class UI {
     }
 
     handleCardHover(card) {
-        if (!this.selectedCard) {
+        if (!this.selectedCards[card.dataset.team]) {
             this.showCardTooltip(card);
         }
     }
@@ -156,10 +243,7 @@ export class UI {
     }
 
     showCardTooltip(card) {
-        const unitType = card.dataset.unit;
-        const unitData = this.game ? this.game.getUnitData(unitType) : null;
-        
-        if (!unitData) return;
+        const unitData = this.game.getUnitData(card.dataset.unit, card.dataset.team);
         
         // Create tooltip if it doesn't exist
         let tooltip = document.getElementById('card-tooltip');
@@ -172,13 +256,12 @@ export class UI {
         
         // Set tooltip content
         tooltip.innerHTML = `
-            <div class="tooltip-title">${unitType.charAt(0).toUpperCase() + unitType.slice(1)}</div>
+            <div class="tooltip-title">${unitData.name} · Lv ${unitData.level}</div>
             <div class="tooltip-stats">
                 <div>💜 ${unitData.cost}</div>
-                <div>❤️ ${unitData.health}</div>
-                <div>⚔️ ${unitData.damage}</div>
-                <div>🏃 ${unitData.speed}</div>
+                ${this.getTooltipStats(unitData)}
             </div>
+            <div class="tooltip-description">${unitData.description}</div>
         `;
         
         // Position tooltip
@@ -188,6 +271,79 @@ export class UI {
         tooltip.style.display = 'block';
     }
 
+    getTooltipStats(unitData) {
+        const stats = unitData.stats;
+        const effects = (unitData.effects || [])
+            .map(effect => `<div>${EFFECT_TYPES[effect.type].icon} ${this.describeEffect(effect)}</div>`)
+            .join('');
+        
+        if (unitData.type === 'spell') {
+            const duration = unitData.spell.duration
+                ? `<div>⏳ ${unitData.spell.duration}s</div>`
+                : '';
+            const damage = unitData.spell.affects === 'allies' || !stats.damage ? '' : `<div>💥 ${stats.damage}</div>`;
+            return `
+                ${damage}
+                <div>⭕ ${stats.radius}</div>
+                ${duration}
+                ${effects}
+            `;
+        }
+        
+        if (unitData.type === 'building') {
+            const attack = unitData.targets.length === 0 ? '' : `
+                <div>⚔️ ${stats.rampDamage ? `${stats.damage}–${stats.rampDamage}` : stats.damage}</div>
+                <div>⏱️ ${stats.hitSpeed}s</div>
+                <div>🎯 ${stats.range}</div>
+                <div>Hits: ${unitData.targets.map(target => TARGET_LABELS[target]).join(', ')}</div>
+            `;
+            const spawn = unitData.spawn
+                ? `<div>🐣 ${unitData.spawn.count}× ${cards.get(unitData.spawn.card).name} / ${unitData.spawn.interval}s</div>`
+                : '';
+            return `
+                <div>❤️ ${stats.health}</div>
+                ${attack}
+                <div>⌛ ${stats.lifetime}s</div>
+                ${spawn}
+                ${effects}
+            `;
+        }
+
+        const shot = unitData.projectile;
+        const splash = shot && shot.splashRadius ? `<div>💥 Splash ${shot.splashRadius}</div>` : '';
+        const pierce = shot && shot.pierce ? '<div>➡️ Piercing</div>' : '';
+        const count = unitData.formation ? `<div>👥 ×${unitData.formation.length}</div>` : '';
+        const deathSpawn = unitData.deathSpawn
+            ? `<div>🪦 Death: ${unitData.deathSpawn.count}× ${cards.get(unitData.deathSpawn.card).name}</div>`
+            : '';
+        const deathDamage = unitData.deathDamage ? `<div>💣 Death: ${unitData.deathDamage.damage}</div>` : '';
+
+        return `
+            ${count}
+            <div>❤️ ${stats.health}</div>
+            <div>⚔️ ${stats.damage}</div>
+            <div>⏱️ ${stats.hitSpeed}s</div>
+            <div>🏃 ${stats.speed}</div>
+            <div>🎯 ${stats.range}</div>
+            <div>${unitData.movement === 'air' ? '🪽 Flying' : '🦶 Ground'}</div>
+            <div>Hits: ${unitData.targets.map(target => TARGET_LABELS[target]).join(', ')}</div>
+            ${splash}
+            ${pierce}
+            ${effects}
+            ${deathSpawn}
+            ${deathDamage}
+        `;
+    }
+
+    // e.g. "Slow 35% for 2.5s"
+    describeEffect(effect) {
+        const name = effect.type.charAt(0).toUpperCase() + effect.type.slice(1);
+        const strength = effect.type === 'poison'
+            ? ` ${effect.strength}/s`
+            : effect.strength ? ` ${Math.round(effect.strength * 100)}%` : '';
+        return `${name}${strength} for ${effect.duration}s`;
+    }
+
     hideCardTooltip() {
         const tooltip = document.getElementById('card-tooltip');
         if (tooltip) {
@@ -230,29 +386,4 @@ export class UI {
             }
         }, 1100);
     }
-
-    updateElixirDisplay(elixir) {
-        const elixirElement = document.querySelector('.elixir-count');
-        if (elixirElement) {
-            elixirElement.textContent = Math.floor(elixir);
-        }
-        
-        // Update card states based on elixir
-        this.updateCardStates(elixir);
-    }
-
-    updateCardStates(elixir) {
-        this.cards.forEach(card => {
-            const unitType = card.dataset.unit;
-            const unitData = this.game ? this.game.getUnitData(unitType) : null;
-            
-            if (unitData) {
-                if (elixir < unitData.cost) {
-                    card.classList.add('disabled');
-                } else {
-                    card.classList.remove('disabled');
-                }
-            }
-        });
-    }
 }
\ No newline at end of file
@@ -106,4 +106,102 @@ export class Utils {
     static randomInt(min, max) {
         return Math.floor(Math.random() * (max - min + 1)) + min;
     }
-}
\ No newline at end of file
+
+    // Translate the context to a point, undoing a half-turned view so
+    // sprites and labels drawn there stay upright
+    static translateUpright(ctx, x, y) {
+        ctx.translate(x, y);
+        const transform = ctx.getTransform();
+        if (transform.a < 0 && transform.d < 0) {
+            ctx.rotate(Math.PI);
+        }
+    }
+
+    // 32-bit FNV-1a hash of a string, as an unsigned integer
+    static hashString(text) {
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    // Freeze an object and everything reachable from it
+    static deepFreeze(value) {
+        if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+            Object.freeze(value);
+            Object.values(value).forEach(Utils.deepFreeze);
+        }
+        return value;
+    }
+
+    // Deep copy an object graph, keeping prototypes and shared references
+    // (two fields pointing at one object still do in the copy). Frozen
+    // objects such as card definitions are immutable and shared as-is.
+    static deepClone(value, copies = new Map()) {
+        if (value === null || typeof value !== 'object' || Object.isFrozen(value)) {
+            return value;
+        }
+        if (copies.has(value)) {
+            return copies.get(value);
+        }
+
+        if (value instanceof Map) {
+            const copy = new Map();
+            copies.set(value, copy);
+            value.forEach((item, key) => copy.set(key, Utils.deepClone(item, copies)));
+            return copy;
+        }
+
+        const copy = Array.isArray(value) ? [] : Object.create(Object.getPrototypeOf(value));
+        copies.set(value, copy);
+        Object.keys(value).forEach(key => {
+            copy[key] = Utils.deepClone(value[key], copies);
+        });
+        return copy;
+    }
+}
+
+// Seedable pseudo-random number generator (mulberry32). Two instances
+// created with the same seed produce the same sequence, which keeps
+// simulations reproducible.
+export class SeededRandom {
+    constructor(seed = SeededRandom.randomSeed()) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    // Pick a fresh seed from the non-deterministic Math.random
+    static randomSeed() {
+        return Math.floor(Math.random() * 0x100000000);
+    }
+
+    // Next float in [0, 1)
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Generate random number between min and max
+    random(min, max) {
+        return this.next() * (max - min) + min;
+    }
+
+    // Generate random integer between min and max (inclusive)
+    randomInt(min, max) {
+        return Math.floor(this.next() * (max - min + 1)) + min;
+    }
+
+    // Shuffle an array in place (Fisher-Yates) and return it
+    shuffle(array) {
+        for (let i = array.length - 1; i > 0; i--) {
+            const j = this.randomInt(0, i);
+            [array[i], array[j]] = [array[j], array[i]];
+        }
+        return array;
+    }
+}
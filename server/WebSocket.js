@@ -0,0 +1,178 @@
+import { createHash } from 'node:crypto';
+import { EventEmitter } from 'node:events';
+
+// Fixed key suffix from RFC 6455 used to answer the opening handshake
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// Largest frame, and largest message across all its fragments, accepted
+// from a client; game messages are tiny
+const MAX_PAYLOAD = 64 * 1024; // bytes
+
+const OPCODES = {
+    continuation: 0x0,
+    text: 0x1,
+    binary: 0x2,
+    close: 0x8,
+    ping: 0x9,
+    pong: 0xA
+};
+
+// Minimal server side of the WebSocket protocol (RFC 6455), enough for the
+// game's small JSON messages without pulling in a dependency. Emits
+// 'message' with each text message, and 'close' once.
+export class WebSocketConnection extends EventEmitter {
+    constructor(socket) {
+        super();
+        this.socket = socket;
+        this.open = true;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.fragmentsLength = 0; // bytes in fragments
+
+        socket.on('data', data => this.receive(data));
+        socket.on('close', () => this.handleClose());
+        socket.on('error', () => this.handleClose());
+    }
+
+    // Answer an HTTP upgrade request. Returns the connection, or null if
+    // the request was not a valid WebSocket handshake.
+    static accept(request, socket) {
+        const key = request.headers['sec-websocket-key'];
+        if (!key || (request.headers.upgrade || '').toLowerCase() !== 'websocket') {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return null;
+        }
+
+        const accept = createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '', ''
+        ].join('\r\n'));
+        socket.setNoDelay(true);
+
+        return new WebSocketConnection(socket);
+    }
+
+    send(text) {
+        if (!this.open) return;
+        this.socket.write(WebSocketConnection.encodeFrame(OPCODES.text, Buffer.from(text)));
+    }
+
+    close(code = 1000) {
+        if (!this.open) return;
+
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code);
+        this.socket.write(WebSocketConnection.encodeFrame(OPCODES.close, payload));
+        this.socket.end();
+        this.handleClose();
+    }
+
+    handleClose() {
+        if (!this.open) return;
+        this.open = false;
+        this.socket.destroy();
+        this.emit('close');
+    }
+
+    // Server frames are never masked
+    static encodeFrame(opcode, payload) {
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.alloc(2);
+            header[1] = payload.length;
+        } else if (payload.length < 0x10000) {
+            header = Buffer.alloc(4);
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+        header[0] = 0x80 | opcode; // FIN
+        return Buffer.concat([header, payload]);
+    }
+
+    receive(data) {
+        this.buffer = Buffer.concat([this.buffer, data]);
+
+        let frame;
+        while (this.open && (frame = this.readFrame())) {
+            this.handleFrame(frame);
+        }
+    }
+
+    // Take one complete frame off the buffer, or null if more bytes are needed
+    readFrame() {
+        const buffer = this.buffer;
+        if (buffer.length < 2) return null;
+
+        const fin = (buffer[0] & 0x80) !== 0;
+        const opcode = buffer[0] & 0x0F;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7F;
+        let offset = 2;
+
+        if (length === 126) {
+            if (buffer.length < 4) return null;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) return null;
+            length = Number(buffer.readBigUInt64BE(2));
+            offset = 10;
+        }
+
+        // Clients must mask every frame, and nothing we expect is large
+        if (!masked || length > MAX_PAYLOAD) {
+            this.close(1002);
+            return null;
+        }
+
+        if (buffer.length < offset + 4 + length) return null;
+
+        const mask = buffer.subarray(offset, offset + 4);
+        const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= mask[i % 4];
+        }
+
+        this.buffer = buffer.subarray(offset + 4 + length);
+        return { fin, opcode, payload };
+    }
+
+    handleFrame({ fin, opcode, payload }) {
+        switch (opcode) {
+            case OPCODES.text:
+            case OPCODES.binary:
+            case OPCODES.continuation:
+                this.fragmentsLength += payload.length;
+                if (this.fragmentsLength > MAX_PAYLOAD) {
+                    this.close(1009); // message too big
+                    return;
+                }
+                this.fragments.push(payload);
+                if (fin) {
+                    const message = Buffer.concat(this.fragments).toString('utf8');
+                    this.fragments = [];
+                    this.fragmentsLength = 0;
+                    this.emit('message', message);
+                }
+                break;
+            case OPCODES.ping:
+                this.socket.write(WebSocketConnection.encodeFrame(OPCODES.pong, payload));
+                break;
+            case OPCODES.pong:
+                break;
+            case OPCODES.close:
+                this.close();
+                break;
+            default:
+                this.close(1002);
+        }
+    }
+}
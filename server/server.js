@@ -0,0 +1,396 @@
+// Local server for online matches. Serves the game files and runs
+// matchmaking and the lockstep relay over WebSocket. No dependencies:
+//
+//     node server/server.js [port]
+//
+// then open http://localhost:8080 in two browser tabs and pick Play Online.
+import { createServer } from 'node:http';
+import { readFile } from 'node:fs/promises';
+import { randomBytes, randomInt } from 'node:crypto';
+import { extname, join, normalize, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { WebSocketConnection } from './WebSocket.js';
+import { TICK_RATE, MATCH_DURATION, OVERTIME_DURATION } from '../js/game/Simulation.js';
+import { Deck } from '../js/game/Deck.js';
+import { DEFAULT_DECK } from '../js/cards/cards.js';
+import { validateLevels } from '../js/cards/levels.js';
+import {
+    DEFAULT_PORT, SOCKET_PATH, ARENA, INPUT_DELAY, FRAME_INTERVAL, START_DELAY, RECONNECT_TIMEOUT
+} from '../js/net/protocol.js';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon'
+};
+
+// A match that outlives regular time, overtime and a grace period has
+// lost both clients' end reports; give up on it
+const MAX_MATCH_TICKS = (MATCH_DURATION + OVERTIME_DURATION + 30) * TICK_RATE;
+
+const TICK_MS = 1000 / TICK_RATE;
+
+// One online match. The server never simulates; it owns the clock, stamps
+// every command with the tick both clients will apply it on, and compares
+// the clients' state hashes.
+class Match {
+    constructor(server, first, second) {
+        this.server = server;
+        this.id = randomBytes(8).toString('hex');
+        this.seed = randomInt(0, 0x100000000);
+        this.over = false;
+
+        this.seats = {
+            player: this.createSeat(first),
+            enemy: this.createSeat(second)
+        };
+
+        // Tick 0 starts after a short delay; ticks up to closedTick are final
+        this.startTime = Date.now() + START_DELAY;
+        this.closedTick = -1;
+        this.history = []; // every stamped command, in apply order
+        this.pending = []; // stamped commands not yet sent in a frame
+        this.hashes = new Map(); // tick -> { team: hash }
+        this.hashedTick = { player: -1, enemy: -1 }; // last tick each side reported
+
+        this.timer = setInterval(() => this.sendFrame(), FRAME_INTERVAL);
+        Object.keys(this.seats).forEach(team => this.attach(team));
+    }
+
+    createSeat({ connection, deck, levels }) {
+        return {
+            connection: null,
+            token: randomBytes(16).toString('hex'),
+            deck,
+            levels,
+            forfeitTimer: null,
+            finished: false,
+            pendingConnection: connection
+        };
+    }
+
+    get decks() {
+        return { player: this.seats.player.deck, enemy: this.seats.enemy.deck };
+    }
+
+    get levels() {
+        return { player: this.seats.player.levels, enemy: this.seats.enemy.levels };
+    }
+
+    opponentOf(team) {
+        return team === 'player' ? 'enemy' : 'player';
+    }
+
+    // Seat a connection (new or reconnecting) and catch it up from tick 0
+    attach(team, connection = this.seats[team].pendingConnection) {
+        const seat = this.seats[team];
+        clearTimeout(seat.forfeitTimer);
+        seat.connection = connection;
+        seat.pendingConnection = null;
+
+        connection.removeAllListeners('message');
+        connection.on('message', text => this.receive(team, text));
+        connection.once('close', () => this.detach(team, connection));
+
+        const opponent = this.seats[this.opponentOf(team)];
+        send(connection, {
+            type: 'start',
+            matchId: this.id,
+            token: seat.token,
+            team,
+            seed: this.seed,
+            arena: ARENA,
+            decks: this.decks,
+            levels: this.levels,
+            tick: this.closedTick,
+            commands: this.history,
+            opponentConnected: Boolean(opponent.connection || opponent.pendingConnection)
+        });
+        this.sendTo(this.opponentOf(team), { type: 'opponent', connected: true });
+    }
+
+    detach(team, connection) {
+        const seat = this.seats[team];
+        if (this.over || seat.connection !== connection) return;
+
+        seat.connection = null;
+        if (seat.finished) return;
+
+        this.sendTo(this.opponentOf(team), { type: 'opponent', connected: false });
+        seat.forfeitTimer = setTimeout(() => {
+            this.end({ type: 'forfeit', winner: this.opponentOf(team) });
+        }, RECONNECT_TIMEOUT);
+    }
+
+    receive(team, text) {
+        const message = parse(text);
+        if (!message || this.over) return;
+
+        guard(() => this.handle(team, message));
+    }
+
+    handle(team, message) {
+        switch (message.type) {
+            case 'command':
+                this.stamp(team, message);
+                break;
+            case 'hashes':
+                this.compareHashes(team, message.hashes);
+                break;
+            case 'over':
+                // Both simulations end on the same tick; stop once both agree
+                this.seats[team].finished = true;
+                if (Object.values(this.seats).every(seat => seat.finished)) {
+                    this.end(null);
+                }
+                break;
+        }
+    }
+
+    // Schedule a command INPUT_DELAY ticks after the last closed tick. The
+    // server picks the tick, not the client, so nobody can skip the delay
+    // or book a tick far ahead. The team is always the sender's seat, so
+    // nobody can play for their opponent.
+    stamp(team, message) {
+        const command = message.command;
+        if (!command || command.type !== 'place' || typeof command.card !== 'string' ||
+            !command.position || !Number.isFinite(command.position.x) || !Number.isFinite(command.position.y)) {
+            return;
+        }
+
+        const stamped = {
+            tick: this.closedTick + INPUT_DELAY,
+            type: 'place',
+            card: command.card,
+            position: { x: command.position.x, y: command.position.y },
+            team
+        };
+
+        // Keep pending commands in tick order; same-tick commands keep
+        // arrival order, which both clients then apply identically
+        const index = this.pending.findIndex(other => other.tick > stamped.tick);
+        this.pending.splice(index === -1 ? this.pending.length : index, 0, stamped);
+    }
+
+    // Close every tick the clock has passed and send them out as one frame
+    sendFrame() {
+        const tick = Math.floor((Date.now() - this.startTime) / TICK_MS);
+        if (tick <= this.closedTick) return;
+
+        if (tick > MAX_MATCH_TICKS) {
+            this.end(null);
+            return;
+        }
+
+        const due = this.pending.filter(command => command.tick <= tick);
+        this.pending = this.pending.filter(command => command.tick > tick);
+        this.history.push(...due);
+        this.closedTick = tick;
+
+        this.broadcast({ type: 'frame', tick, commands: due });
+    }
+
+    // hashes: [tick, hash] pairs, both whole numbers, for ticks already
+    // closed. A malformed report is dropped whole.
+    compareHashes(team, hashes) {
+        const valid = Array.isArray(hashes) && hashes.every(pair =>
+            Array.isArray(pair) && pair.length === 2 &&
+            Number.isInteger(pair[0]) && pair[0] >= 0 && pair[0] <= this.closedTick &&
+            Number.isInteger(pair[1]));
+        if (!valid) return;
+
+        for (const [tick, hash] of hashes) {
+            this.hashedTick[team] = Math.max(this.hashedTick[team], tick);
+
+            const entry = this.hashes.get(tick) || {};
+            entry[team] = hash;
+
+            const other = entry[this.opponentOf(team)];
+            if (other === undefined) {
+                this.hashes.set(tick, entry);
+            } else {
+                this.hashes.delete(tick);
+                if (other !== hash) {
+                    this.end({ type: 'desync', tick });
+                    return;
+                }
+            }
+        }
+
+        // Clients report ticks in order, so a tick both sides have moved
+        // past that only one reported (a reloaded client replaying from
+        // the start) will never be matched
+        const settled = Math.min(this.hashedTick.player, this.hashedTick.enemy);
+        this.hashes.forEach((entry, tick) => {
+            if (tick <= settled) this.hashes.delete(tick);
+        });
+    }
+
+    // Stop the clock, tell both clients why (if there is news for them)
+    // and forget the match
+    end(message) {
+        if (this.over) return;
+        this.over = true;
+
+        clearInterval(this.timer);
+        Object.values(this.seats).forEach(seat => clearTimeout(seat.forfeitTimer));
+        if (message) {
+            this.broadcast(message);
+        }
+        this.server.matches.delete(this.id);
+    }
+
+    sendTo(team, message) {
+        const connection = this.seats[team].connection;
+        if (connection) send(connection, message);
+    }
+
+    broadcast(message) {
+        Object.keys(this.seats).forEach(team => this.sendTo(team, message));
+    }
+}
+
+class GameServer {
+    constructor() {
+        this.matches = new Map();
+        this.waiting = null; // { connection, deck, levels } looking for an opponent
+    }
+
+    connect(connection) {
+        connection.on('message', text => this.receive(connection, text));
+        connection.on('close', () => {
+            if (this.waiting && this.waiting.connection === connection) {
+                this.waiting = null;
+            }
+        });
+    }
+
+    // Messages from connections not yet seated in a match
+    receive(connection, text) {
+        const message = parse(text);
+        if (!message) return;
+
+        guard(() => {
+            if (message.type === 'join') {
+                this.join(connection, message.deck, message.levels);
+            } else if (message.type === 'rejoin') {
+                this.rejoin(connection, message);
+            }
+        });
+    }
+
+    join(connection, deck = DEFAULT_DECK, levels = {}) {
+        try {
+            Deck.validate(deck);
+            validateLevels(levels);
+        } catch (error) {
+            send(connection, { type: 'error', message: error.message });
+            return;
+        }
+
+        const waiting = this.waiting;
+        if (!waiting || !waiting.connection.open || waiting.connection === connection) {
+            this.waiting = { connection, deck, levels };
+            send(connection, { type: 'queued' });
+            return;
+        }
+
+        this.waiting = null;
+        const match = new Match(this, waiting, { connection, deck, levels });
+        this.matches.set(match.id, match);
+    }
+
+    rejoin(connection, { matchId, token }) {
+        const match = this.matches.get(matchId);
+        const team = match && Object.keys(match.seats).find(t => match.seats[t].token === token);
+        if (!team) {
+            send(connection, { type: 'error', message: 'That match is over', expired: true });
+            return;
+        }
+
+        // Drop a stale connection for the seat, if the old one is still open
+        const previous = match.seats[team].connection;
+        match.seats[team].connection = null;
+        if (previous && previous !== connection) previous.close();
+
+        match.attach(team, connection);
+    }
+}
+
+function parse(text) {
+    try {
+        const message = JSON.parse(text);
+        return message && typeof message === 'object' ? message : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Run one client message's handler. A message that still trips up the
+// server is logged and dropped instead of taking every match down with it.
+function guard(handler) {
+    try {
+        handler();
+    } catch (error) {
+        console.error('Dropped a message that failed to handle:', error);
+    }
+}
+
+function send(connection, message) {
+    connection.send(JSON.stringify(message));
+}
+
+// Static files from the repository root
+async function serveFile(request, response) {
+    const url = new URL(request.url, 'http://localhost');
+    let pathname;
+    try {
+        pathname = decodeURIComponent(url.pathname === '/' ? '/index.html' : url.pathname);
+    } catch (error) {
+        response.writeHead(400).end('Bad request');
+        return;
+    }
+    const path = normalize(join(ROOT, pathname));
+
+    // Only the client: nothing outside the repository, no server code and
+    // no dot files such as .git
+    const parts = path.slice(ROOT.length).split(sep);
+    if (!path.startsWith(ROOT) || parts[0] === 'server' || parts.some(part => part.startsWith('.'))) {
+        response.writeHead(403).end();
+        return;
+    }
+
+    try {
+        const body = await readFile(path);
+        response.writeHead(200, { 'Content-Type': CONTENT_TYPES[extname(path)] || 'application/octet-stream' });
+        response.end(body);
+    } catch (error) {
+        response.writeHead(404).end('Not found');
+    }
+}
+
+const port = Number(process.argv[2]) || Number(process.env.PORT) || DEFAULT_PORT;
+const gameServer = new GameServer();
+const httpServer = createServer(serveFile);
+
+httpServer.on('upgrade', (request, socket) => {
+    if (new URL(request.url, 'http://localhost').pathname !== SOCKET_PATH) {
+        socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+        return;
+    }
+
+    const connection = WebSocketConnection.accept(request, socket);
+    if (connection) {
+        gameServer.connect(connection);
+    }
+});
+
+httpServer.listen(port, () => {
+    console.log(`CoyaleRash server on http://localhost:${port}`);
+});
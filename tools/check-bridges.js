@@ -0,0 +1,59 @@
+// Headless bridge crossing check. Drops a ground troop on the river bank
+// beside both ends of each bridge, on both sides of the river, and checks
+// that every one of them gets across:
+//
+//     node tools/check-bridges.js
+//
+// Exits with code 1 and names the drops that never crossed.
+import { Simulation, TICK_RATE } from '../js/game/Simulation.js';
+import { Vector2D } from '../js/utils/Utils.js';
+
+const TROOP = 'knight';
+
+// Time a troop gets to cross from its drop point
+const CROSSING_TICKS = 20 * TICK_RATE;
+
+// Distance of the drop points from the water and from the bridge's sides
+const BANK_OFFSET = 3; // px
+const SIDE_OFFSETS = [15, 60, 150]; // px
+
+// Drop points on the bank beside each bridge, plus the arena's edges
+function dropPoints(navigation) {
+    const river = navigation.river;
+    const points = [];
+    [['player', river.y + river.height + BANK_OFFSET], ['enemy', river.y - BANK_OFFSET]].forEach(([team, y]) => {
+        navigation.bridges.forEach(bridge => {
+            SIDE_OFFSETS.forEach(offset => {
+                points.push({ team, position: new Vector2D(bridge.x - offset, y) });
+                points.push({ team, position: new Vector2D(bridge.x + bridge.width + offset, y) });
+            });
+        });
+        points.push({ team, position: new Vector2D(20, y) });
+        points.push({ team, position: new Vector2D(navigation.width - 20, y) });
+    });
+    return points;
+}
+
+// Whether a troop dropped at position reaches the other side of the river
+function crosses(team, position) {
+    const simulation = new Simulation({ seed: 1 });
+    const [troop] = simulation.spawnTroop(TROOP, position, team);
+    const start = simulation.navigation.sideOf(troop.position);
+
+    for (let tick = 0; tick < CROSSING_TICKS && troop.alive; tick++) {
+        simulation.step();
+        if (simulation.navigation.sideOf(troop.position) === -start) return true;
+    }
+    return false;
+}
+
+const points = dropPoints(new Simulation({ seed: 1 }).navigation);
+const stuck = points.filter(({ team, position }) => !crosses(team, position));
+
+stuck.forEach(({ team, position }) => {
+    console.log(`${team} ${TROOP} dropped at (${position.x}, ${position.y}) never crossed`);
+});
+console.log(`${points.length - stuck.length} of ${points.length} drops crossed the river`);
+if (stuck.length > 0) {
+    process.exitCode = 1;
+}
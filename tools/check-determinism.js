@@ -0,0 +1,81 @@
+// Headless determinism check. For each seed and scenario it runs the same
+// match twice, side by side: same seed, same scripted commands on the same
+// ticks. The two runs must hash equal on every tick:
+//
+//     node tools/check-determinism.js [seed ...]
+//
+// Exits with code 1 and names the first tick that differs on a mismatch.
+import { Simulation } from '../js/game/Simulation.js';
+import { SeededRandom } from '../js/utils/Utils.js';
+
+const DEFAULT_SEEDS = [1, 2, 3, 4, 5, 6];
+
+// Longest a match can run (regular time plus overtime) and how often a
+// command is played
+const MAX_TICKS = 4 * 60 * 30;
+const COMMAND_INTERVAL = 45; // ticks
+
+// Multi-unit cards and spawners, dropped on the river bank as well, put
+// several troops on the very same spot
+const SWARM_DECK = [
+    'skeleton_army', 'barbarians', 'tombstone', 'goblin_hut',
+    'golem', 'minions', 'valkyrie', 'zap'
+];
+
+const SCENARIOS = [
+    { name: 'default decks', decks: undefined },
+    { name: 'swarms and spawners', decks: { player: SWARM_DECK, enemy: SWARM_DECK } }
+];
+
+// Next scripted command: a card from the hand, dropped on the team's half
+// or on its river bank. Picked by its own RNG, not the simulations'.
+function nextCommand(rng, simulation, team) {
+    const river = simulation.navigation.river;
+    const bank = team === 'player' ? river.y + river.height + 3 : river.y - 3;
+    const depth = rng.random(0.6, 0.9) * simulation.height;
+    const y = rng.next() < 0.5 ? bank : (team === 'player' ? depth : simulation.height - depth);
+
+    return {
+        type: 'place',
+        card: simulation.decks[team].hand[rng.randomInt(0, 3)],
+        position: { x: rng.random(0.05, 0.95) * simulation.width, y },
+        team
+    };
+}
+
+// Run two copies of the match and return the first tick they differ on, or -1
+function findMismatch(seed, decks) {
+    const rng = new SeededRandom(seed ^ 0x2545F491);
+    const runs = [new Simulation({ seed, decks }), new Simulation({ seed, decks })];
+
+    for (let tick = 0; tick < MAX_TICKS; tick++) {
+        if (runs[0].stateHash() !== runs[1].stateHash()) return tick;
+        if (runs[0].over && runs[1].over) return -1;
+
+        if (tick > 0 && tick % COMMAND_INTERVAL === 0) {
+            const team = tick % (2 * COMMAND_INTERVAL) === 0 ? 'enemy' : 'player';
+            const command = nextCommand(rng, runs[0], team);
+            runs.forEach(simulation => simulation.applyCommand(command));
+        }
+        runs.forEach(simulation => simulation.step());
+    }
+    return runs[0].stateHash() === runs[1].stateHash() ? -1 : MAX_TICKS;
+}
+
+const seeds = process.argv.length > 2 ? process.argv.slice(2).map(Number) : DEFAULT_SEEDS;
+if (!seeds.every(Number.isInteger)) {
+    console.error('Seeds must be whole numbers');
+    process.exit(2);
+}
+
+seeds.forEach(seed => {
+    SCENARIOS.forEach(({ name, decks }) => {
+        const mismatch = findMismatch(seed, decks);
+        if (mismatch === -1) {
+            console.log(`seed ${seed}, ${name}: runs match`);
+        } else {
+            console.log(`seed ${seed}, ${name}: runs differ from tick ${mismatch}`);
+            process.exitCode = 1;
+        }
+    });
+});